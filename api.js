@@ -0,0 +1,369 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+
+const { sanitizeError, safeEqual } = require("./utils");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_TEXT_CHARS = 20000;
+const FINAL_STATUSES = new Set(["done", "failed", "cancelled"]);
+
+const CONTENT_TYPES = {
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".txt": "text/plain; charset=utf-8",
+    ".json": "application/json",
+    ".pdf": "application/pdf"
+};
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let bytes = 0;
+        req.on("data", (chunk) => {
+            bytes += chunk.length;
+            if (bytes > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error("Payload too large"), { status: 413 }));
+                req.destroy();
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        req.on("end", () => {
+            const raw = Buffer.concat(chunks).toString("utf8").trim();
+            if (!raw) return resolve({});
+            try {
+                resolve(JSON.parse(raw));
+            } catch (_) {
+                reject(Object.assign(new Error("Invalid JSON"), { status: 400 }));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+// Local REST API that drives the same agent loop as the Telegram bot.
+//
+//   POST /runs                          { text, session? }  -> 202 run (queued behind earlier runs of the session)
+//   GET  /runs                          recent runs
+//   GET  /runs/:id                      run with all events so far
+//   GET  /runs/:id/events               Server-Sent Events (replays from Last-Event-ID / ?after=n, ends with the run)
+//   POST /runs/:id/cancel
+//   POST /runs/:id/approvals/:approvalId { decision: "approve" | "deny", input? }
+//   GET  /runs/:id/artifacts/:n         screenshot / document / audio produced by the run
+//
+// Every request needs "Authorization: Bearer <token>". Runs act as `userId`, so roles, command
+// policy, budgets and the audit log apply as for that Telegram user. A session maps to the chat
+// id "api:<session>" (own history, queue and settings).
+//
+// `submit({ chatId, userId, text, transport, onStart, onFinish })` queues the run and returns a
+// handle for `cancel(handle, chatId)`; both are provided by telegram.js. `redact` masks secrets in
+// message texts, captions and the final reply, as for Telegram; `redactDeep` does the same for every
+// string in a JSON-like tool input.
+function createApiServer({ host = "127.0.0.1", port = 8787, token, userId, approvalTimeoutSeconds = 300, maxRuns = 200, submit, cancel, redact = (text) => text, redactDeep = (value) => value } = {}) {
+    if (!token) throw new Error("API token is required.");
+    const runs = new Map(); // id -> run (insertion order = creation order)
+
+    function emit(run, type, data = {}) {
+        const event = { seq: run.events.length + 1, ts: new Date().toISOString(), type, ...data };
+        run.events.push(event);
+        for (const listener of run.listeners) listener(event);
+    }
+
+    function setStatus(run, status, extra = {}) {
+        run.status = status;
+        Object.assign(run, extra);
+        emit(run, "status", { status, ...extra });
+        if (FINAL_STATUSES.has(status)) {
+            for (const pending of run.approvals.values()) pending.settle({ approved: false, status: "cancelled", input: pending.input, edited: false });
+        }
+    }
+
+    function summary(run, { withEvents = false } = {}) {
+        const out = {
+            id: run.id,
+            session: run.session,
+            chatId: run.chatId,
+            text: run.text,
+            status: run.status,
+            createdAt: run.createdAt,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt,
+            reply: run.reply,
+            artifacts: run.artifacts.map((a, i) => ({ kind: a.kind, name: path.basename(a.path), caption: a.caption, url: `/runs/${run.id}/artifacts/${i}` }))
+        };
+        if (withEvents) out.events = run.events;
+        return out;
+    }
+
+    // The transport for one API run: messages, progress steps, artifacts and approvals become events.
+    function transportFor(run) {
+        let nextMessageId = 1;
+        let nextStep = 1;
+        let nextApproval = 1;
+
+        function artifact(kind, filePath, options = {}) {
+            const messageId = nextMessageId++;
+            if (options.caption) options = { ...options, caption: redact(options.caption) };
+            if (typeof filePath !== "string") {
+                emit(run, kind, { message_id: messageId, caption: options.caption || "", error: "not a file path" });
+                return { message_id: messageId };
+            }
+            const index = run.artifacts.push({ kind, path: filePath, caption: options.caption || "" }) - 1;
+            emit(run, kind, {
+                message_id: messageId,
+                artifact: index,
+                name: path.basename(filePath),
+                caption: options.caption || "",
+                url: `/runs/${run.id}/artifacts/${index}`
+            });
+            return { message_id: messageId };
+        }
+
+        return {
+            name: "api",
+            safeSendMessage: async (_chatId, text) => {
+                const messageId = nextMessageId++;
+                emit(run, "message", { message_id: messageId, text: redact((text ?? "").toString()) });
+                return { message_id: messageId };
+            },
+            safeEditMessage: async (_chatId, messageId, text) => {
+                emit(run, "message_edited", { message_id: messageId, text: redact((text ?? "").toString()) });
+                return true;
+            },
+            safeSendPhoto: async (_chatId, photo, options) => artifact("photo", photo, options),
+            safeSendDocument: async (_chatId, doc, options) => artifact("document", doc, options),
+            safeSendAudio: async (_chatId, audio, options) => artifact("audio", audio, options),
+            sendLongMessage: async (_chatId, text) => {
+                emit(run, "message", { message_id: nextMessageId++, text: redact((text ?? "").toString()) });
+                return true;
+            },
+            // Structured tool events instead of an edited status message.
+            createProgress: () => ({
+                start: async () => {},
+                step(name, input) {
+                    const step = nextStep++;
+                    const startedAt = Date.now();
+                    emit(run, "tool_started", { step, tool: name, input: redactDeep(input ?? null) });
+                    return {
+                        done(result) {
+                            emit(run, "tool_finished", { step, tool: name, result: result ?? null, duration_ms: Date.now() - startedAt });
+                        }
+                    };
+                },
+                finish: async () => {}
+            }),
+            requestApproval: (_chatId, toolName, input, { note, signal } = {}) => new Promise((resolve) => {
+                const approvalId = String(nextApproval++);
+                const expiresAt = Date.now() + approvalTimeoutSeconds * 1000;
+                let timer = null;
+                const onAbort = () => settle({ approved: false, status: "cancelled", input, edited: false });
+                function settle(result) {
+                    if (!run.approvals.has(approvalId)) return;
+                    run.approvals.delete(approvalId);
+                    clearTimeout(timer);
+                    signal?.removeEventListener?.("abort", onAbort);
+                    emit(run, "approval_resolved", { approval_id: approvalId, status: result.status, edited: result.edited === true });
+                    resolve(result);
+                }
+                run.approvals.set(approvalId, { toolName, input, settle });
+                timer = setTimeout(() => settle({ approved: false, status: "timeout", input, edited: false }), approvalTimeoutSeconds * 1000);
+                if (signal?.aborted) return onAbort();
+                signal?.addEventListener?.("abort", onAbort, { once: true });
+                emit(run, "approval_required", {
+                    approval_id: approvalId,
+                    tool: toolName,
+                    input: redactDeep(input),
+                    note: note ? redact(note) : "",
+                    expires_at: new Date(expiresAt).toISOString(),
+                    url: `/runs/${run.id}/approvals/${approvalId}`
+                });
+            }),
+            // API sessions cannot turn on /step, but if a step prompt is asked for it becomes an
+            // approval request: approve = Next, deny = Skip.
+            requestStep(chatId, toolName, input, { note, signal } = {}) {
+                return this.requestApproval(chatId, toolName, input, { note, signal }).then((r) => ({
+                    action: r.approved ? "next" : (r.status === "denied" ? "skip" : r.status === "timeout" ? "timeout" : "stop")
+                }));
+            }
+        };
+    }
+
+    function createRun(text, session) {
+        const run = {
+            id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString("hex")}`,
+            session,
+            chatId: `api:${session}`,
+            text,
+            status: "queued",
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            reply: null,
+            events: [],
+            artifacts: [],
+            approvals: new Map(),
+            listeners: new Set(),
+            handle: null
+        };
+        runs.set(run.id, run);
+        // Forget the oldest finished runs beyond `maxRuns`.
+        for (const [id, old] of runs) {
+            if (runs.size <= maxRuns) break;
+            if (FINAL_STATUSES.has(old.status)) runs.delete(id);
+        }
+        return run;
+    }
+
+    function send(res, status, body) {
+        res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+        res.end(JSON.stringify(body));
+    }
+
+    async function handleCreate(req, res) {
+        const body = await readJsonBody(req);
+        const text = (body.text ?? "").toString().trim();
+        const session = (body.session ?? "default").toString().trim();
+        if (!text) return send(res, 400, { error: "text is required" });
+        if (text.length > MAX_TEXT_CHARS) return send(res, 400, { error: `text is longer than ${MAX_TEXT_CHARS} characters` });
+        if (!/^[A-Za-z0-9_.-]{1,64}$/.test(session)) return send(res, 400, { error: "session must match [A-Za-z0-9_.-]{1,64}" });
+
+        const run = createRun(text, session);
+        const transport = transportFor(run);
+        try {
+            run.handle = await submit({
+                chatId: run.chatId,
+                userId,
+                text,
+                transport,
+                onStart: () => setStatus(run, "running", { startedAt: new Date().toISOString() }),
+                onFinish: ({ outcome, replyText } = {}) => {
+                    const status = FINAL_STATUSES.has(outcome) ? outcome : "failed";
+                    setStatus(run, status, { finishedAt: new Date().toISOString(), reply: replyText != null ? redact(replyText) : null });
+                }
+            });
+        } catch (e) {
+            setStatus(run, "failed", { finishedAt: new Date().toISOString(), reply: `Error: ${e?.message || String(e)}` });
+            return send(res, e?.status || 500, { error: e?.message || String(e), run: summary(run) });
+        }
+        return send(res, 202, summary(run));
+    }
+
+    function handleEvents(req, res, run, query) {
+        const after = Math.max(0, Math.floor(Number(req.headers["last-event-id"] ?? query.get("after"))) || 0);
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream; charset=utf-8",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive"
+        });
+        const write = (event) => res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        const close = () => {
+            run.listeners.delete(listener);
+            clearInterval(keepAlive);
+            res.end();
+        };
+        const listener = (event) => {
+            write(event);
+            if (event.type === "status" && FINAL_STATUSES.has(event.status)) close();
+        };
+        const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+        if (typeof keepAlive.unref === "function") keepAlive.unref();
+        for (const event of run.events.slice(after)) write(event);
+        if (FINAL_STATUSES.has(run.status)) return close();
+        run.listeners.add(listener);
+        req.on("close", () => {
+            run.listeners.delete(listener);
+            clearInterval(keepAlive);
+        });
+    }
+
+    async function handleApproval(req, res, run, approvalId) {
+        const pending = run.approvals.get(approvalId);
+        if (!pending) return send(res, 404, { error: "No pending approval with that id" });
+        const body = await readJsonBody(req);
+        const decision = (body.decision || "").toString();
+        if (decision !== "approve" && decision !== "deny") return send(res, 400, { error: 'decision must be "approve" or "deny"' });
+        const edited = decision === "approve" && body.input && typeof body.input === "object";
+        pending.settle({
+            approved: decision === "approve",
+            status: decision === "approve" ? "approved" : "denied",
+            input: edited ? { ...pending.input, ...body.input } : pending.input,
+            edited: Boolean(edited)
+        });
+        return send(res, 200, { ok: true, status: decision === "approve" ? "approved" : "denied" });
+    }
+
+    function handleArtifact(res, run, index) {
+        const item = run.artifacts[index];
+        if (!item) return send(res, 404, { error: "No such artifact" });
+        fs.promises.stat(item.path).then((st) => {
+            res.writeHead(200, {
+                "Content-Type": CONTENT_TYPES[path.extname(item.path).toLowerCase()] || "application/octet-stream",
+                "Content-Length": st.size,
+                "Content-Disposition": `inline; filename="${path.basename(item.path).replace(/"/g, "")}"`
+            });
+            fs.createReadStream(item.path).pipe(res);
+        }).catch(() => send(res, 410, { error: "Artifact file no longer exists (data retention cleanup)" }));
+    }
+
+    async function handleRequest(req, res) {
+        const url = new URL(req.url || "/", "http://localhost");
+        const auth = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+        if (!safeEqual(auth, token)) return send(res, 401, { error: "Unauthorized" });
+
+        const parts = url.pathname.split("/").filter(Boolean);
+        if (parts[0] !== "runs") return send(res, 404, { error: "Not found" });
+        if (parts.length === 1) {
+            if (req.method === "POST") return await handleCreate(req, res);
+            if (req.method === "GET") return send(res, 200, { runs: [...runs.values()].reverse().map((r) => summary(r)) });
+            return send(res, 405, { error: "Method not allowed" });
+        }
+
+        const run = runs.get(parts[1]);
+        if (!run) return send(res, 404, { error: "No such run" });
+        const sub = parts[2];
+        if (!sub && req.method === "GET") return send(res, 200, summary(run, { withEvents: url.searchParams.get("events") !== "0" }));
+        if (sub === "events" && req.method === "GET") return handleEvents(req, res, run, url.searchParams);
+        if (sub === "cancel" && req.method === "POST") {
+            if (FINAL_STATUSES.has(run.status)) return send(res, 409, { error: `Run is already ${run.status}` });
+            const wasQueued = run.status === "queued";
+            const ok = cancel(run.handle, run.chatId, { queued: wasQueued });
+            // A queued run never starts, so nothing else would mark it finished.
+            if (ok && wasQueued) setStatus(run, "cancelled", { finishedAt: new Date().toISOString() });
+            return send(res, ok ? 200 : 409, { ok, run: summary(run) });
+        }
+        if (sub === "approvals" && parts[3] && req.method === "POST") return await handleApproval(req, res, run, parts[3]);
+        if (sub === "artifacts" && parts[3] != null && req.method === "GET") return handleArtifact(res, run, Math.floor(Number(parts[3])));
+        return send(res, 404, { error: "Not found" });
+    }
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch((e) => {
+            if (!res.headersSent) send(res, e?.status || 500, { error: e?.status ? e.message : "Internal error" });
+            if (!e?.status) console.warn("[api_request_failed]", sanitizeError(e));
+        });
+    });
+
+    function start() {
+        return new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(port, host, () => {
+                server.off("error", reject);
+                server.on("error", (e) => console.warn("[api_server_error]", sanitizeError(e)));
+                resolve(server.address());
+            });
+        });
+    }
+
+    function stop() {
+        return new Promise((resolve) => server.close(() => resolve()));
+    }
+
+    return { start, stop };
+}
+
+module.exports = { createApiServer };
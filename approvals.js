@@ -0,0 +1,180 @@
+// Telegram rejects messages longer than 4096 chars; leave room for the header lines.
+const MAX_PREVIEW_CHARS = 3200;
+
+// Which input field the "Edit" button replaces, per tool. Tools without an entry cannot be edited.
+function editableField(toolName, input) {
+    if (toolName === "execute_command") return input?.script ? "script" : "command";
+    if (toolName === "browse_website") return "task";
+    return null;
+}
+
+function clipPreview(text) {
+    const s = (text ?? "").toString();
+    if (s.length <= MAX_PREVIEW_CHARS) return s;
+    return `${s.slice(0, MAX_PREVIEW_CHARS)}\n… (truncated, ${s.length} chars total)`;
+}
+
+function formatToolPreview(toolName, input = {}, note = "", title = `Approval required: ${toolName}`) {
+    const lines = [title];
+    if (note) lines.push(note);
+    if (toolName === "execute_command") {
+        lines.push(`Shell: ${input.shell || "auto"}`);
+        if (input.cwd) lines.push(`cwd: ${input.cwd}`);
+        if (input.timeout_ms) lines.push(`Timeout: ${input.timeout_ms}ms`);
+        if (input.script) {
+            if (input.file_path) lines.push(`Script file: ${input.file_path}`);
+            lines.push("", "Script:", clipPreview(input.script));
+        } else {
+            lines.push("", "Command:", clipPreview(input.command || "(empty)"));
+        }
+    } else if (toolName === "browse_website") {
+        lines.push(`URL: ${input.url || "(none)"}`);
+        if (input.chrome_user_data_dir) lines.push(`Chrome profile: ${input.chrome_user_data_dir}`);
+        lines.push("", "Task:", clipPreview(input.task || "(open the URL and summarize)"));
+    } else if (toolName === "run_healer") {
+        lines.push("Installs/updates Node, Python, browser-use, Playwright Chromium and ffmpeg, and rewrites config.json.");
+        if (input.reason) lines.push("", `Reason: ${input.reason}`);
+    } else {
+        lines.push("", clipPreview(JSON.stringify(input, null, 2)));
+    }
+    return lines.join("\n");
+}
+
+// `canApprove(userId, toolName, chatId)` decides who may press the buttons (defaults to anyone who can reach them).
+function createApprovalGate({ bot, safeSendMessage, safeEditMessage, toolApproval = {}, timeoutSeconds = 300, canApprove = () => true } = {}) {
+    const timeoutMs = Math.max(10, Math.floor(Number(timeoutSeconds)) || 300) * 1000;
+
+    // approvalId -> { chatId, toolName, input, messageId, resolve, timer, awaitingEditFrom }
+    const pending = new Map();
+    let nextId = 1;
+
+    function isRequired(toolName) {
+        return toolApproval?.[toolName] === true;
+    }
+
+    function keyboardFor(id, toolName, input) {
+        const row = [
+            { text: "Approve", callback_data: `appr:${id}:a` },
+            { text: "Deny", callback_data: `appr:${id}:d` }
+        ];
+        if (editableField(toolName, input)) row.push({ text: "Edit", callback_data: `appr:${id}:e` });
+        return { inline_keyboard: [row] };
+    }
+
+    async function markResolved(entry, label) {
+        if (!entry.messageId) return;
+        await safeEditMessage(entry.chatId, entry.messageId, `${formatToolPreview(entry.toolName, entry.input, entry.note)}\n\n${label}`);
+    }
+
+    function finish(id, status, label) {
+        const entry = pending.get(id);
+        if (!entry) return;
+        pending.delete(id);
+        clearTimeout(entry.timer);
+        markResolved(entry, label).catch(() => {});
+        entry.resolve({ approved: status === "approved", status, input: entry.input, edited: entry.edited === true });
+    }
+
+    async function prompt(id) {
+        const entry = pending.get(id);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => finish(id, "timeout", `Timed out after ${Math.round(timeoutMs / 1000)}s (not executed).`), timeoutMs);
+        const sent = await safeSendMessage(entry.chatId, formatToolPreview(entry.toolName, entry.input, entry.note), {
+            reply_markup: keyboardFor(id, entry.toolName, entry.input)
+        });
+        if (!sent) {
+            finish(id, "error", "Could not send approval prompt (not executed).");
+            return;
+        }
+        entry.messageId = sent.message_id;
+    }
+
+    // Ask the chat to approve a tool call. Resolves with { approved, status, input, edited };
+    // status is "approved", "denied", "timeout", "cancelled" or "error". `input` reflects any user edit.
+    // `note` is an optional line shown under the header (e.g. the policy rule that asked for approval).
+    // An aborted `signal` (e.g. /cancel) resolves the request with status "cancelled".
+    function requestApproval(chatId, toolName, input, { note = "", signal } = {}) {
+        const id = (nextId++).toString(36);
+        return new Promise((resolve) => {
+            pending.set(id, { chatId, toolName, input: { ...(input || {}) }, note, messageId: null, resolve, timer: null, awaitingEditFrom: null });
+            if (signal) {
+                if (signal.aborted) {
+                    finish(id, "cancelled", "Cancelled.");
+                    return;
+                }
+                signal.addEventListener("abort", () => finish(id, "cancelled", "Cancelled (run was cancelled)."), { once: true });
+            }
+            prompt(id);
+        });
+    }
+
+    // Returns true if the callback query belonged to the approval gate.
+    async function handleCallbackQuery(query) {
+        const m = (query?.data || "").match(/^appr:([a-z0-9]+):([ade])$/);
+        if (!m) return false;
+        const [, id, action] = m;
+        const entry = pending.get(id);
+        const answer = async (text) => {
+            try { await bot.answerCallbackQuery(query.id, text ? { text } : undefined); } catch (_) {}
+        };
+
+        if (!entry) {
+            await answer("This request is no longer pending.");
+            return true;
+        }
+
+        if (!canApprove(query.from?.id?.toString(), entry.toolName, entry.chatId)) {
+            await answer(`Your role cannot approve ${entry.toolName} calls.`);
+            return true;
+        }
+
+        const who = query.from?.username ? `@${query.from.username}` : (query.from?.id ?? "user").toString();
+        if (action === "a") {
+            await answer("Approved");
+            finish(id, "approved", `Approved by ${who}.`);
+        } else if (action === "d") {
+            await answer("Denied");
+            finish(id, "denied", `Denied by ${who}.`);
+        } else {
+            const field = editableField(entry.toolName, entry.input);
+            if (!field) {
+                await answer("This tool call cannot be edited.");
+                return true;
+            }
+            entry.awaitingEditFrom = query.from?.id?.toString() || null;
+            await answer();
+            await markResolved(entry, `Editing requested by ${who}…`);
+            await safeSendMessage(
+                entry.chatId,
+                `Reply with the replacement ${field} for ${entry.toolName}. The edited call will be shown for approval again.`,
+                { reply_markup: { force_reply: true } }
+            );
+        }
+        return true;
+    }
+
+    // If a chat message is the reply to a pending "Edit" request, apply it and re-prompt.
+    // Returns true when the message was consumed.
+    // `chatId` is the chat key the prompt was sent to (a forum topic has its own).
+    function consumeEditReply(msg, chatId = msg?.chat?.id) {
+        const userId = msg?.from?.id?.toString();
+        const text = msg?.text;
+        if (typeof text !== "string" || !text.trim()) return false;
+
+        for (const [id, entry] of pending) {
+            if (String(entry.chatId) !== String(chatId) || !entry.awaitingEditFrom || entry.awaitingEditFrom !== userId) continue;
+            const field = editableField(entry.toolName, entry.input);
+            entry.input = { ...entry.input, [field]: text };
+            entry.awaitingEditFrom = null;
+            entry.edited = true;
+            prompt(id);
+            return true;
+        }
+        return false;
+    }
+
+    return { isRequired, requestApproval, handleCallbackQuery, consumeEditReply };
+}
+
+module.exports = { createApprovalGate, formatToolPreview };
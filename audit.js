@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+
+const { sanitizeError } = require("./utils");
+const { maskSecrets, maskSecretsDeep } = require("./redact");
+
+// Same labels as the progress step log, so /audit and the live status agree.
+function statusOf(result) {
+    if (!result || typeof result !== "object") return "failed";
+    if (result.cancelled) return "cancelled";
+    if (result.deferred) return "deferred";
+    if (result.deduped) return "deduped";
+    if (result.denied) return result.approval === "timeout" ? "approval_timeout" : "denied";
+    if (result.blocked) return "blocked";
+    if (result.forbidden) return "forbidden";
+    return result.success ? "ok" : "failed";
+}
+
+function summarizeResult(result, maxChars = 500, mask = maskSecrets) {
+    if (!result || typeof result !== "object") return "";
+    const text = (result.error || result.output || result.note || result.file_path || "").toString();
+    const flat = text.replace(/\s+/g, " ").trim();
+    return mask(flat.length > maxChars ? `${flat.slice(0, maxChars)}…` : flat);
+}
+
+// Append-only JSONL log of every tool invocation, rotated by size:
+// audit.jsonl -> audit.1.jsonl -> ... -> audit.<maxFiles>.jsonl (oldest dropped).
+// `redactor` (redact.js createRedactor) adds the configured patterns to the built-in masking.
+function createAuditLog({ DATA_DIR, maxBytes = 5 * 1024 * 1024, maxFiles = 5, redactor = null } = {}) {
+    const mask = redactor ? redactor.mask : maskSecrets;
+    const maskDeep = redactor ? redactor.maskDeep : maskSecretsDeep;
+    const AUDIT_DIR = path.join(DATA_DIR, "state", "audit");
+    const FILE = path.join(AUDIT_DIR, "audit.jsonl");
+    const rotatedPath = (n) => path.join(AUDIT_DIR, `audit.${n}.jsonl`);
+    let chain = Promise.resolve();
+
+    async function rotateIfNeeded(incomingBytes) {
+        let size = 0;
+        try {
+            size = (await fs.promises.stat(FILE)).size;
+        } catch (_) {
+            return;
+        }
+        if (size + incomingBytes <= maxBytes) return;
+        await fs.promises.rm(rotatedPath(maxFiles), { force: true });
+        for (let n = maxFiles - 1; n >= 1; n--) {
+            try { await fs.promises.rename(rotatedPath(n), rotatedPath(n + 1)); } catch (_) {}
+        }
+        await fs.promises.rename(FILE, rotatedPath(1));
+    }
+
+    // entry: { userId, chatId, tool, input, result, durationMs }
+    function record({ userId, chatId, tool, input, result, durationMs }) {
+        const line = JSON.stringify({
+            ts: new Date().toISOString(),
+            userId: userId ?? null,
+            chatId: chatId ?? null,
+            tool,
+            input: maskDeep(input || {}),
+            status: statusOf(result),
+            exitCode: Number.isInteger(result?.exitCode) ? result.exitCode : null,
+            durationMs: Math.max(0, Math.round(durationMs || 0)),
+            result: summarizeResult(result, 500, mask)
+        }) + "\n";
+        chain = chain.then(async () => {
+            try {
+                await fs.promises.mkdir(AUDIT_DIR, { recursive: true });
+                await rotateIfNeeded(Buffer.byteLength(line));
+                await fs.promises.appendFile(FILE, line, "utf8");
+            } catch (e) {
+                console.warn("[audit_write_failed]", sanitizeError(e));
+            }
+        });
+        return chain;
+    }
+
+    // Most recent entries first, optionally filtered by tool name. Reads rotated files only as needed.
+    async function recent({ limit = 10, tool } = {}) {
+        await chain;
+        const out = [];
+        const files = [FILE];
+        for (let n = 1; n <= maxFiles; n++) files.push(rotatedPath(n));
+        for (const file of files) {
+            let text;
+            try {
+                text = await fs.promises.readFile(file, "utf8");
+            } catch (_) {
+                continue;
+            }
+            const lines = text.split("\n").filter(Boolean);
+            for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+                try {
+                    const entry = JSON.parse(lines[i]);
+                    if (!tool || entry.tool === tool) out.push(entry);
+                } catch (_) {}
+            }
+            if (out.length >= limit) break;
+        }
+        return out;
+    }
+
+    return { AUDIT_DIR, record, recent };
+}
+
+function formatAuditEntries(entries) {
+    if (!entries.length) return "No audit entries found.";
+    return entries.map((e) => {
+        const input = e.tool === "execute_command"
+            ? (e.input?.command || (e.input?.script ? `[script] ${e.input.script}` : ""))
+            : JSON.stringify(e.input || {});
+        const clip = (s, n) => (s.length > n ? `${s.slice(0, n)}…` : s);
+        return [
+            `${e.ts} ${e.tool} — ${e.status}${e.exitCode != null ? ` (exit ${e.exitCode})` : ""}, ${e.durationMs}ms`,
+            `  user ${e.userId} in chat ${e.chatId}`,
+            `  input: ${clip(input.replace(/\s+/g, " "), 200)}`,
+            e.result ? `  result: ${clip(e.result, 200)}` : null
+        ].filter(Boolean).join("\n");
+    }).join("\n\n");
+}
+
+module.exports = { createAuditLog, formatAuditEntries };
@@ -37,6 +37,7 @@ function createBrowser({ DATA_DIR } = {}) {
         const safeSendMessage = ctx?.safeSendMessage;
         const safeSendPhoto = ctx?.safeSendPhoto;
         const sendLongMessage = ctx?.sendLongMessage;
+        const signal = ctx?.signal;
 
         if (!url || !isHttpUrl(url)) {
             return { success: false, error: "Invalid URL. Only http/https URLs are allowed.", output: "" };
@@ -104,7 +105,7 @@ function createBrowser({ DATA_DIR } = {}) {
                 const ensureChromium = c.autoInstallPlaywrightChromium !== false;
 
                 // Quick import checks
-                const check = await runPythonCommand(py, ["-c", "import browser_use; print('ok')"], { timeoutMs: 30000, env: pyEnv });
+                const check = await runPythonCommand(py, ["-c", "import browser_use; print('ok')"], { timeoutMs: 30000, env: pyEnv, signal });
                 if (check.exitCode === 0) return true;
                 if (!autoInstall) return false;
 
@@ -114,22 +115,22 @@ function createBrowser({ DATA_DIR } = {}) {
 
                 // Install browser-use (and Playwright, which browser-use relies on for local browsing)
                 try {
-                    await runPythonCommand(py, ["-m", "pip", "install", "-U", "browser-use"], { timeoutMs: 10 * 60 * 1000, env: pyEnv });
+                    await runPythonCommand(py, ["-m", "pip", "install", "-U", "browser-use"], { timeoutMs: 10 * 60 * 1000, env: pyEnv, signal });
                 } catch (_) {}
 
                 if (ensurePlaywright) {
                     try {
-                        await runPythonCommand(py, ["-m", "pip", "install", "-U", "playwright"], { timeoutMs: 10 * 60 * 1000, env: pyEnv });
+                        await runPythonCommand(py, ["-m", "pip", "install", "-U", "playwright"], { timeoutMs: 10 * 60 * 1000, env: pyEnv, signal });
                     } catch (_) {}
                 }
 
                 if (ensureChromium) {
                     try {
-                        await runPythonCommand(py, ["-m", "playwright", "install", "chromium"], { timeoutMs: 10 * 60 * 1000, env: pyEnv });
+                        await runPythonCommand(py, ["-m", "playwright", "install", "chromium"], { timeoutMs: 10 * 60 * 1000, env: pyEnv, signal });
                     } catch (_) {}
                 }
 
-                const recheck = await runPythonCommand(py, ["-c", "import browser_use; print('ok')"], { timeoutMs: 30000, env: pyEnv });
+                const recheck = await runPythonCommand(py, ["-c", "import browser_use; print('ok')"], { timeoutMs: 30000, env: pyEnv, signal });
                 return recheck.exitCode === 0;
             }
 
@@ -138,7 +139,7 @@ function createBrowser({ DATA_DIR } = {}) {
                     py,
                     [runnerPath],
                     JSON.stringify(payload),
-                    { timeoutMs: 10 * 60 * 1000, env: pyEnv }
+                    { timeoutMs: 10 * 60 * 1000, env: pyEnv, signal }
                 );
             }
 
@@ -200,7 +201,7 @@ function createBrowser({ DATA_DIR } = {}) {
                         ? `\n\n${String(result.raw).slice(0, 2000)}`
                         : (stderr ? `\n\n${String(stderr).slice(0, 2000)}` : "");
                 if (sendLongMessage && chatId) await sendLongMessage(chatId, `Browser error: ${msg}${extra}`);
-                return { success: false, error: msg, output: result.raw || stderr || "" };
+                return { success: false, error: msg, output: result.raw || stderr || "", model: result.llm_model, usage: result.usage || null };
             }
 
             const finalText = (result.final_result ?? "").toString().trim();
@@ -226,9 +227,13 @@ function createBrowser({ DATA_DIR } = {}) {
                 url,
                 final_result_chars: finalText.length,
                 screenshot_sent: Boolean(screenshot && result.screenshot_path),
-                elapsed_ms: elapsedMs
+                elapsed_ms: elapsedMs,
+                // Tokens browser-use spent on its own LLM (metered by the caller, see usage.js).
+                model: result.llm_model,
+                usage: result.usage || null
             };
         } catch (error) {
+            if (error?.cancelled) return { success: false, cancelled: true, error: "Cancelled by user (browser runner killed).", output: "" };
             return { success: false, error: error?.message || String(error), output: "" };
         }
     }
@@ -79,6 +79,23 @@ def _make_llm(provider: str, model: str, temperature: float | None, base_url: st
     )
 
 
+def _usage_summary(history) -> dict | None:
+    """
+    Token totals for the whole agent run, if this browser-use version tracks them.
+    """
+    usage = getattr(history, "usage", None)
+    if usage is None:
+        return None
+    try:
+        return {
+            "prompt_tokens": int(getattr(usage, "total_prompt_tokens", 0) or 0),
+            "completion_tokens": int(getattr(usage, "total_completion_tokens", 0) or 0),
+            "cached_tokens": int(getattr(usage, "total_prompt_cached_tokens", 0) or 0),
+        }
+    except Exception:
+        return None
+
+
 async def _run(req: dict) -> dict:
     task = (req.get("task") or "").strip()
     if not task:
@@ -103,6 +120,7 @@ async def _run(req: dict) -> dict:
     from browser_use.browser.session import BrowserSession
 
     llm = _make_llm(provider=provider, model=model, temperature=temperature, base_url=base_url)
+    llm_model = getattr(llm, "model", None) or model
     browser_session = BrowserSession(
         headless=headless,
         downloads_path=output_dir,
@@ -154,6 +172,8 @@ async def _run(req: dict) -> dict:
                 "final_result": final_result if isinstance(final_result, (str, int, float, bool)) or final_result is None else str(final_result),
                 "errors": errors if isinstance(errors, (str, int, float, bool, list, dict)) or errors is None else str(errors),
                 "error": error_summary,
+                "llm_model": llm_model,
+                "usage": _usage_summary(history),
             }
 
             if screenshot:
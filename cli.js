@@ -0,0 +1,200 @@
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const EventEmitter = require("events");
+
+const { startTelegramBot } = require("./telegram");
+const { loadConfig } = require("./config");
+
+// Terminal session with the same agent, tools and slash commands as the Telegram bot.
+// A stand-in for the node-telegram-bot-api methods the bot uses prints messages to the
+// terminal, saves photos/documents to a local folder and turns typed lines into updates.
+
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => argv[++i];
+        if (arg === "--out") out.out = value();
+        else if (arg === "--user") out.user = value();
+        else if (arg === "--base-url") out.baseUrl = value();
+        else if (arg === "--help" || arg === "-h") out.help = true;
+    }
+    return out;
+}
+
+// Replies may be Telegram HTML (see format.js); show them as plain text in the terminal.
+function htmlToText(html) {
+    return html
+        .replace(/<\/?(b|i|s|code|pre|a)(\s[^>]*)?>/g, "")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, "&");
+}
+
+function createTerminalBot({ outDir, print }) {
+    const bot = new EventEmitter();
+    const texts = new Map(); // message_id -> last printed text
+    let nextMessageId = 1;
+    let keyboard = null; // { chatId, messageId, buttons: [{ text, callback_data }] }
+
+    function showKeyboard(chatId, messageId, markup) {
+        const buttons = (markup?.inline_keyboard || []).flat().filter((b) => b?.callback_data);
+        if (!buttons.length) {
+            if (keyboard?.messageId === messageId) keyboard = null;
+            return;
+        }
+        keyboard = { chatId, messageId, buttons };
+        print(`     ${buttons.map((b, i) => `[:${i + 1}] ${b.text}`).join("  ")}`);
+    }
+
+    async function saveFile(kind, chatId, file, options = {}) {
+        await fs.promises.mkdir(outDir, { recursive: true });
+        const baseName = typeof file === "string" ? path.basename(file) : `${kind}.bin`;
+        const dest = path.join(outDir, `${Date.now()}-${baseName}`);
+        if (typeof file === "string") await fs.promises.copyFile(file, dest);
+        else if (Buffer.isBuffer(file)) await fs.promises.writeFile(dest, file);
+        else if (file && typeof file.pipe === "function") {
+            await new Promise((resolve, reject) => file.pipe(fs.createWriteStream(dest)).on("finish", resolve).on("error", reject));
+        } else {
+            throw new Error(`Unsupported ${kind} input`);
+        }
+        print(`bot> [${kind}] ${dest}${options.caption ? `\n     ${options.caption}` : ""}`);
+        return { message_id: nextMessageId++, chat: { id: chatId } };
+    }
+
+    bot.sendMessage = async (chatId, text, options = {}) => {
+        const id = nextMessageId++;
+        const shown = options.parse_mode === "HTML" ? htmlToText((text ?? "").toString()) : (text ?? "").toString();
+        texts.set(id, shown);
+        print(`bot> ${shown.replace(/\n/g, "\n     ")}`);
+        showKeyboard(chatId, id, options.reply_markup);
+        if (options.reply_markup?.force_reply) print("     (type your reply as the next line)");
+        return { message_id: id, chat: { id: chatId }, text };
+    };
+
+    // Edits (the live progress message, approval prompts) print only the lines that changed.
+    bot.editMessageText = async (text, { chat_id: chatId, message_id: messageId, reply_markup: markup } = {}) => {
+        const before = (texts.get(messageId) || "").split("\n");
+        const after = (text ?? "").toString().split("\n");
+        texts.set(messageId, after.join("\n"));
+        const changed = after.filter((line) => !before.includes(line));
+        if (changed.length) print(changed.map((line) => `   ~ ${line}`).join("\n"));
+        showKeyboard(chatId, messageId, markup);
+        return { message_id: messageId, chat: { id: chatId }, text };
+    };
+
+    bot.sendPhoto = (chatId, photo, options) => saveFile("photo", chatId, photo, options);
+    bot.sendDocument = (chatId, doc, options) => saveFile("document", chatId, doc, options);
+    bot.sendAudio = (chatId, audio, options) => saveFile("audio", chatId, audio, options);
+
+    bot.answerCallbackQuery = async (_queryId, options) => {
+        if (options?.text) print(`     (${options.text})`);
+        return true;
+    };
+
+    // "file ids" are local paths in the terminal session (/photo, /voice, /file).
+    bot.downloadFile = async (fileId, dir) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const dest = path.join(dir, `${Date.now()}-${path.basename(fileId)}`);
+        await fs.promises.copyFile(fileId, dest);
+        return dest;
+    };
+
+    bot.pressButton = (index, from) => {
+        const button = keyboard?.buttons[index - 1];
+        if (!button) return false;
+        bot.emit("callback_query", {
+            id: `cli-${Date.now()}`,
+            from,
+            message: { message_id: keyboard.messageId, chat: { id: keyboard.chatId } },
+            data: button.callback_data
+        });
+        return true;
+    };
+
+    return bot;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log("Usage: npm run cli -- [--user <telegramUserId>] [--out <dir>] [--base-url <anthropic base url>]");
+        return;
+    }
+
+    const cfg = loadConfig();
+    // Own data folder (state, history, schedules, jobs, uploads), so a bot running next to the
+    // terminal session never overwrites its files or the other way round.
+    const dataDir = path.join(path.resolve(cfg.dataDir || path.join(process.cwd(), "data")), "cli");
+    const outDir = path.resolve(args.out || path.join(dataDir, "out"));
+    const authorized = (process.env.AUTHORIZED_USER_IDS || process.env.AUTHORIZED_USER_ID || "").split(",").map((s) => s.trim()).filter(Boolean);
+    const userId = (args.user || authorized[0] || "1").toString();
+    // A private chat of its own, "cli:<user>", kept apart from the user's Telegram chat.
+    const chatId = `cli:${userId}`;
+    const from = { id: Number(userId) || userId, username: "terminal", first_name: "Terminal" };
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "you> " });
+    const print = (text) => {
+        readline.clearLine(process.stdout, 0);
+        readline.cursorTo(process.stdout, 0);
+        console.log(text);
+        rl.prompt(true);
+    };
+
+    const bot = createTerminalBot({ outDir, print });
+    startTelegramBot({ bot, anthropicBaseUrl: args.baseUrl || "", dataDir });
+
+    let nextUpdateMessageId = 1;
+    const send = (fields) => bot.emit("message", {
+        message_id: nextUpdateMessageId++,
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: chatId, type: "private" },
+        from,
+        ...fields
+    });
+
+    console.log(`Terminal session as user ${userId}. Files the bot sends are saved to ${outDir}`);
+    console.log("Slash commands work as in Telegram (/start for the list). Terminal extras:");
+    console.log("  :<n>                       press button n of the last prompt (e.g. Approve / Deny)");
+    console.log("  /photo <path> [caption]    send a local image");
+    console.log("  /voice <path>              send a local audio file");
+    console.log("  /file <path> [caption]     send a local file as a document");
+    console.log("  /exit                      quit");
+    rl.prompt();
+
+    rl.on("line", (line) => {
+        const text = line.trim();
+        if (!text) return rl.prompt();
+        if (text === "/exit" || text === "/quit") return rl.close();
+
+        const button = /^:(\d+)$/.exec(text);
+        if (button) {
+            if (!bot.pressButton(Number(button[1]), from)) print("(no such button)");
+            return rl.prompt();
+        }
+
+        const media = /^\/(photo|voice|file)\s+("[^"]+"|\S+)\s*(.*)$/.exec(text);
+        if (media) {
+            const filePath = path.resolve(media[2].replace(/^"|"$/g, ""));
+            if (!fs.existsSync(filePath)) {
+                print(`(file not found: ${filePath})`);
+                return;
+            }
+            if (media[1] === "photo") send({ photo: [{ file_id: filePath }], caption: media[3] || undefined });
+            else if (media[1] === "voice") send({ voice: { file_id: filePath } });
+            else send({ document: { file_id: filePath, file_name: path.basename(filePath), file_size: fs.statSync(filePath).size }, caption: media[3] || undefined });
+            return rl.prompt();
+        }
+
+        send({ text });
+        rl.prompt();
+    });
+
+    rl.on("close", () => process.exit(0));
+}
+
+main();
@@ -0,0 +1,176 @@
+// Token-aware history compaction. Never cuts between an assistant tool_use and the user
+// tool_result that answers it: cuts only happen at "turn starts" (a user message that is not
+// tool results), so every kept tool_result still has its tool_use.
+
+const SUMMARY_PREFIX = "[Summary of earlier conversation]";
+const SUMMARY_ACK = "Understood. I will use this summary of the earlier conversation as context.";
+
+// Rough estimate (~4 characters per token); images count as a typical ~1.6k-token block.
+function estimateTokens(messages) {
+    let chars = 0;
+    let images = 0;
+    for (const m of Array.isArray(messages) ? messages : []) {
+        if (typeof m?.content === "string") {
+            chars += m.content.length;
+            continue;
+        }
+        for (const block of Array.isArray(m?.content) ? m.content : []) {
+            if (block?.type === "image") images += 1;
+            else chars += JSON.stringify(block || "").length;
+        }
+    }
+    return Math.ceil(chars / 4) + images * 1600;
+}
+
+function isToolResults(m) {
+    return m?.role === "user" && Array.isArray(m.content) && m.content.some((b) => b?.type === "tool_result");
+}
+
+function isTurnStart(m) {
+    return m?.role === "user" && !isToolResults(m);
+}
+
+function isSummary(m) {
+    return m?.role === "user" && typeof m.content === "string" && m.content.startsWith(SUMMARY_PREFIX);
+}
+
+// Split off the pinned summary pair (summary + acknowledgement) if the history starts with one.
+function splitSummary(messages) {
+    if (isSummary(messages[0]) && messages[1]?.role === "assistant") {
+        return { summary: messages[0].content.slice(SUMMARY_PREFIX.length).trim(), body: messages.slice(2) };
+    }
+    return { summary: null, body: messages };
+}
+
+function summaryPair(summary) {
+    if (!summary) return [];
+    return [
+        { role: "user", content: `${SUMMARY_PREFIX}\n${summary}` },
+        { role: "assistant", content: SUMMARY_ACK }
+    ];
+}
+
+function turnStarts(messages) {
+    const out = [];
+    messages.forEach((m, i) => { if (isTurnStart(m)) out.push(i); });
+    return out;
+}
+
+// Drop leading messages until the first turn start (e.g. histories saved by older versions that
+// were cut with a plain slice). The pinned summary pair, if any, is kept.
+function startAtTurnBoundary(messages) {
+    const list = Array.isArray(messages) ? messages : [];
+    const { summary, body } = splitSummary(list);
+    const first = body.findIndex(isTurnStart);
+    if (first <= 0) return first === 0 ? list : summaryPair(summary);
+    return [...summaryPair(summary), ...body.slice(first)];
+}
+
+// Replace large tool_result contents with a short preview. Returns the (possibly new) message.
+function elideToolResults(m, maxChars, stats) {
+    if (!isToolResults(m)) return m;
+    let changed = false;
+    const content = m.content.map((block) => {
+        if (block?.type !== "tool_result" || typeof block.content !== "string" || block.content.length <= maxChars) return block;
+        let success;
+        try { success = JSON.parse(block.content)?.success; } catch (_) {}
+        changed = true;
+        stats.elided += 1;
+        return {
+            ...block,
+            content: JSON.stringify({
+                elided: true,
+                success,
+                original_chars: block.content.length,
+                preview: block.content.slice(0, Math.min(500, maxChars))
+            })
+        };
+    });
+    return changed ? { ...m, content } : m;
+}
+
+function renderTranscript(messages, maxChars = 150000) {
+    const clip = (s, n) => {
+        const t = (s ?? "").toString();
+        return t.length > n ? `${t.slice(0, n)}…` : t;
+    };
+    const lines = [];
+    for (const m of messages) {
+        const who = m.role === "assistant" ? "Assistant" : (isToolResults(m) ? "Tools" : "User");
+        if (typeof m.content === "string") {
+            lines.push(`${who}: ${clip(m.content, 4000)}`);
+            continue;
+        }
+        for (const block of Array.isArray(m.content) ? m.content : []) {
+            if (block?.type === "text") lines.push(`${who}: ${clip(block.text, 4000)}`);
+            else if (block?.type === "tool_use") lines.push(`Tool call ${block.name}: ${clip(JSON.stringify(block.input || {}), 1500)}`);
+            else if (block?.type === "tool_result") lines.push(`Tool result: ${clip(typeof block.content === "string" ? block.content : JSON.stringify(block.content), 1500)}`);
+            else if (block?.type === "image") lines.push(`${who}: [image]`);
+        }
+    }
+    const text = lines.join("\n");
+    // Keep the most recent part if the transcript itself is too long.
+    return text.length > maxChars ? `…${text.slice(text.length - maxChars)}` : text;
+}
+
+function buildSummaryPrompt(previousSummary, transcript) {
+    return [
+        "Summarize the earlier part of a conversation between a user and an assistant that controls a Windows machine through tools.",
+        "The summary replaces those messages, so keep what later requests may refer to: the user's goals and preferences,",
+        "file paths, directories, URLs, commands that worked or failed (with the reason), and any open tasks.",
+        "Write plain text, at most about 300 words. Do not invent details.",
+        previousSummary ? `\nSummary of what came before:\n${previousSummary}` : "",
+        `\nConversation to summarize:\n${transcript}`
+    ].filter(Boolean).join("\n");
+}
+
+// opts: { budgetTokens, targetTokens, keepRecentTurns, toolResultMaxChars, summarize(prompt) -> Promise<string>, signal }
+// Returns { messages, elided, summarized, dropped } — `dropped` counts messages cut without a
+// new summary (when summarize failed).
+async function compactHistory(messages, {
+    budgetTokens = 60000,
+    targetTokens = Math.floor(budgetTokens / 2),
+    keepRecentTurns = 4,
+    toolResultMaxChars = 2000,
+    summarize,
+    signal
+} = {}) {
+    const stats = { elided: 0, summarized: false, dropped: 0 };
+    let list = startAtTurnBoundary(messages);
+    if (estimateTokens(list) <= budgetTokens) return { messages: list, ...stats };
+
+    // 1) Elide large tool outputs outside the most recent turns.
+    const starts = turnStarts(list);
+    const protectFrom = starts.length > keepRecentTurns ? starts[starts.length - keepRecentTurns] : 0;
+    list = list.map((m, i) => (i < protectFrom ? elideToolResults(m, toolResultMaxChars, stats) : m));
+    if (estimateTokens(list) <= budgetTokens) return { messages: list, ...stats };
+
+    // 2) Summarize older turns into the pinned summary. Cut at the earliest turn start that
+    // brings the rest under target, but always keep the last `keepRecentTurns` turns.
+    const { summary, body } = splitSummary(list);
+    const bodyStarts = turnStarts(body);
+    if (bodyStarts.length < 2) return { messages: list, ...stats };
+    const latestCut = bodyStarts[Math.max(1, bodyStarts.length - keepRecentTurns)];
+    const cut = bodyStarts.find((i) => i > 0 && i <= latestCut && estimateTokens(body.slice(i)) <= targetTokens) ?? latestCut;
+    const older = body.slice(0, cut);
+
+    let nextSummary = summary;
+    try {
+        const text = typeof summarize === "function"
+            ? (await summarize(buildSummaryPrompt(summary, renderTranscript(older)))).toString().trim()
+            : "";
+        if (text) {
+            nextSummary = text;
+            stats.summarized = true;
+        } else {
+            stats.dropped = older.length;
+        }
+    } catch (e) {
+        if (signal?.aborted) throw e;
+        console.warn("[history_compaction] summary failed, dropping older turns:", e?.message || e);
+        stats.dropped = older.length;
+    }
+    return { messages: [...summaryPair(nextSummary), ...body.slice(cut)], ...stats };
+}
+
+module.exports = { compactHistory, estimateTokens, startAtTurnBoundary, SUMMARY_PREFIX };
@@ -7,8 +7,21 @@ const EXAMPLE_PATH = path.join(process.cwd(), "config.example.json");
 const DEFAULTS = {
     dataDir: "./data",
     notesPath: "notes/notes.txt",
+    anthropicBaseUrl: "",
     openaiVisionModel: "gpt-4.1-mini",
     openaiTranscribeModel: "gpt-4o-mini-transcribe",
+    stt: {
+        provider: "openai",
+        command: "",
+        model: "",
+        language: "",
+        threads: 0,
+        timeoutSeconds: 300
+    },
+    visionProvider: "claude",
+    visionMaxDimension: 1568,
+    visionMaxBytes: 3750000,
+    visionHistoryImages: 3,
     stepConfirm: true,
     maxAgentIterations: 25,
     dataRetentionHours: 24,
@@ -16,6 +29,108 @@ const DEFAULTS = {
     deepThinking: false,
     thinkingBudgetTokens: 8000,
     stopAfterSuccessfulBrowse: true,
+    claudeModel: "claude-sonnet-4-5-20250929",
+    claudeMaxTokens: 4096,
+    claudeTemperature: null,
+    claudeModels: ["claude-sonnet-4-5-20250929", "claude-haiku-4-5-20251001"],
+    claudeFallbackModels: ["claude-haiku-4-5-20251001"],
+    toolApproval: {
+        execute_command: false,
+        run_healer: false,
+        browse_website: false,
+        send_file: false
+    },
+    approvalTimeoutSeconds: 300,
+    queueMode: "queue",
+    scheduleCatchUp: "once",
+    scheduleMaxCatchUpRuns: 5,
+    maxSchedulesPerChat: 20,
+    maxBackgroundJobs: 5,
+    jobMaxRuntimeMinutes: 720,
+    replyFormat: "html",
+    longMessageAttachChars: 12000,
+    uploadMaxBytes: 20971520,
+    uploadRetentionHours: 168,
+    sendFileRoots: [],
+    uploadAllowedExtensions: [".zip", ".7z", ".rar", ".tar", ".gz", ".tgz", ".csv", ".tsv", ".txt", ".log", ".json", ".xml", ".yaml", ".yml", ".md", ".ini", ".cfg", ".conf", ".pdf", ".docx", ".xlsx", ".pptx", ".py", ".js", ".ts", ".ps1", ".bat", ".cmd", ".sh", ".sql", ".html", ".css"],
+    modelPrices: {
+        "claude-sonnet-4-5": { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+        "claude-haiku-4-5": { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+        "claude-opus-4-1": { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+        "claude-3-5-sonnet": { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+        "gpt-4.1-mini": { input: 0.4, output: 1.6, cacheRead: 0.1 },
+        "gpt-4o": { input: 2.5, output: 10, cacheRead: 1.25 },
+        "gpt-4o-mini": { input: 0.15, output: 0.6, cacheRead: 0.075 },
+        "gpt-4o-mini-transcribe": { input: 3, output: 5, perMinute: 0.003 },
+        "gpt-4o-transcribe": { input: 6, output: 10, perMinute: 0.006 },
+        "whisper-1": { perMinute: 0.006 }
+    },
+    budgets: {
+        dailyUsd: 0,
+        monthlyUsd: 0,
+        userDailyUsd: 0,
+        userMonthlyUsd: 0,
+        users: {},
+        onExceeded: "refuse",
+        downgradeModel: "claude-haiku-4-5-20251001"
+    },
+    historyCompaction: {
+        budgetTokens: 60000,
+        targetTokens: 30000,
+        keepRecentTurns: 4,
+        toolResultMaxChars: 2000,
+        summaryModel: "claude-haiku-4-5-20251001"
+    },
+    rateLimits: {
+        userMessagesPerMinute: 20,
+        chatMessagesPerMinute: 40,
+        userConcurrentRuns: 3,
+        chatConcurrentRuns: 5,
+        userToolCallsPerHour: 300,
+        chatToolCallsPerHour: 600,
+        unauthorizedBackoffSeconds: 30,
+        unauthorizedBackoffMaxSeconds: 3600
+    },
+    redaction: {
+        patterns: [],
+        envVars: []
+    },
+    auditMaxBytes: 5242880,
+    auditMaxFiles: 5,
+    defaultRole: "admin",
+    roles: {
+        admin: { tools: "*", canChangeSettings: true, chats: "*" },
+        operator: {
+            tools: ["execute_command", "check_job", "send_file", "take_screenshot", "capture_webcam_photo", "browse_website"],
+            canChangeSettings: false,
+            chats: "*"
+        },
+        viewer: { tools: ["take_screenshot"], canChangeSettings: false, chats: "*" }
+    },
+    userRoles: {},
+    groups: {},
+    commandPolicy: {
+        defaultAction: "allow",
+        rules: []
+    },
+    transport: "polling",
+    webhook: {
+        publicUrl: "",
+        path: "/telegram/webhook",
+        host: "0.0.0.0",
+        port: 8443,
+        secretToken: "",
+        tlsKeyPath: "",
+        tlsCertPath: "",
+        uploadCertificate: false
+    },
+    api: {
+        enabled: false,
+        host: "127.0.0.1",
+        port: 8787,
+        token: "",
+        userId: ""
+    },
     ffmpegPath: "",
     autoInstallFfmpeg: true,
     browserUsePython: "python",
@@ -0,0 +1,138 @@
+// Telegram message formatting: Claude's Markdown -> Telegram HTML, and splitting long text into
+// messages at line and code-block boundaries.
+
+// Telegram's limit is 4096 characters after entity parsing; keep a margin.
+const TELEGRAM_MESSAGE_LIMIT = 4000;
+const CHUNK_SOURCE_CHARS = 3500;
+
+const FENCE_RE = /^\s*```/;
+
+function escapeHtml(text) {
+    return (text ?? "").toString().replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function inlineToHtml(line) {
+    // Code spans first, so nothing inside them is formatted.
+    const spans = [];
+    let t = line.replace(/`([^`\n]+)`/g, (_, code) => {
+        spans.push(`<code>${escapeHtml(code)}</code>`);
+        return `\u0000${spans.length - 1}\u0000`;
+    });
+    t = escapeHtml(t);
+    t = t.replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (_, label, url) => `<a href="${url.replace(/"/g, "&quot;")}">${label}</a>`);
+    t = t.replace(/\*\*(?=\S)([^*\n]+?)\*\*/g, "<b>$1</b>");
+    t = t.replace(/~~(?=\S)([^~\n]+?)~~/g, "<s>$1</s>");
+    // Single-asterisk italics only; underscores are left alone (snake_case, __init__, paths).
+    t = t.replace(/(^|[\s(])\*(?=\S)([^*\n]+?)\*(?=[\s).,!?:;]|$)/g, "$1<i>$2</i>");
+    return t.replace(/\u0000(\d+)\u0000/g, (_, i) => spans[Number(i)]);
+}
+
+// The subset of Markdown Claude uses in replies: fenced code blocks, inline code, bold, italics,
+// strikethrough, links, headings and bullets. Anything else is sent as escaped text.
+function markdownToTelegramHtml(text) {
+    const out = [];
+    let code = null; // { lang, lines } while inside a fenced block
+    for (const line of (text ?? "").toString().split("\n")) {
+        if (FENCE_RE.test(line)) {
+            if (code) {
+                const cls = code.lang ? ` class="language-${escapeHtml(code.lang)}"` : "";
+                out.push(`<pre><code${cls}>${escapeHtml(code.lines.join("\n"))}</code></pre>`);
+                code = null;
+            } else {
+                code = { lang: line.trim().slice(3).trim().split(/\s+/)[0] || "", lines: [] };
+            }
+            continue;
+        }
+        if (code) {
+            code.lines.push(line);
+            continue;
+        }
+        const heading = /^#{1,6}\s+(.*)$/.exec(line);
+        if (heading) {
+            out.push(`<b>${inlineToHtml(heading[1])}</b>`);
+            continue;
+        }
+        const bullet = /^(\s*)[-*+]\s+(.*)$/.exec(line);
+        if (bullet) {
+            out.push(`${bullet[1]}• ${inlineToHtml(bullet[2])}`);
+            continue;
+        }
+        out.push(inlineToHtml(line));
+    }
+    if (code) out.push(`<pre>${escapeHtml(code.lines.join("\n"))}</pre>`);
+    return out.join("\n");
+}
+
+function splitLongLine(line, maxLen) {
+    const pieces = [];
+    let rest = line;
+    while (rest.length > maxLen) {
+        let cut = rest.lastIndexOf(" ", maxLen);
+        if (cut < maxLen / 2) cut = maxLen;
+        pieces.push(rest.slice(0, cut));
+        rest = rest.slice(cut).replace(/^ /, "");
+    }
+    pieces.push(rest);
+    return pieces;
+}
+
+// Split Markdown into chunks of at most `maxLen` characters, at line boundaries where possible.
+// A code block that spans chunks is closed at the end of one and reopened (same language) in the next;
+// with `fences: false` (raw output) ``` lines are ordinary text.
+function splitMarkdown(text, maxLen = CHUNK_SOURCE_CHARS, { fences = true } = {}) {
+    const chunks = [];
+    let cur = [];
+    let curLen = 0;
+    let fence = null; // opening fence line while inside a code block
+
+    function flush() {
+        if (fence && cur[cur.length - 1] === fence) {
+            // The block opens on the last line: move it to the next chunk instead of closing it empty.
+            cur.pop();
+            if (cur.length) chunks.push(cur.join("\n"));
+        } else if (cur.length) {
+            chunks.push((fence ? [...cur, "```"] : cur).join("\n"));
+        }
+        cur = fence ? [fence] : [];
+        curLen = fence ? fence.length + 1 : 0;
+    }
+
+    for (const line of (text ?? "").toString().split("\n")) {
+        const isFence = fences && FENCE_RE.test(line);
+        const closing = Boolean(fence) && isFence;
+        // Inside a block, keep room for the closing fence; the closing line itself always fits.
+        const reserve = fence && !closing ? 4 : 0;
+        for (const piece of splitLongLine(line, Math.max(20, maxLen - 4 - (fence ? fence.length + 1 : 0)))) {
+            if (cur.length && !closing && curLen + piece.length + 1 + reserve > maxLen) flush();
+            cur.push(piece);
+            curLen += piece.length + 1;
+        }
+        if (isFence) fence = fence ? null : line.trim();
+    }
+    flush();
+    return chunks.filter((c) => c.trim());
+}
+
+// Chunks ready to send: { text, html } where html is null for plain text. `format` is
+// "markdown" (Claude replies), "code" (raw command output, shown monospace) or "plain".
+function formatChunks(text, format = "plain", maxLen = CHUNK_SOURCE_CHARS) {
+    const source = (text ?? "").toString();
+    const render = (chunk) => {
+        if (format === "markdown") return markdownToTelegramHtml(chunk);
+        if (format === "code") return `<pre>${escapeHtml(chunk)}</pre>`;
+        return null;
+    };
+    const out = [];
+    for (const chunk of splitMarkdown(source, maxLen, { fences: format !== "code" })) {
+        const html = render(chunk);
+        // Escaping can grow a chunk past Telegram's limit; split that one finer.
+        if ((html ?? chunk).length > TELEGRAM_MESSAGE_LIMIT && maxLen > 500) {
+            out.push(...formatChunks(chunk, format, Math.floor(maxLen / 2)));
+        } else {
+            out.push({ text: chunk, html });
+        }
+    }
+    return out;
+}
+
+module.exports = { escapeHtml, markdownToTelegramHtml, splitMarkdown, formatChunks, TELEGRAM_MESSAGE_LIMIT };
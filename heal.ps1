@@ -142,7 +142,8 @@ try {
     elseif ($pyExe -and -not $config.browserUsePython) { $config.browserUsePython = $pyExe }
     if ($chromePath) { $config.chromePath = $chromePath }
     if ($ffmpegPath) { $config.ffmpegPath = $ffmpegPath }
-    $config | ConvertTo-Json -Depth 2 | Set-Content $configPath -Encoding UTF8
+    # Depth must cover nested settings such as commandPolicy.rules[].match, or PowerShell flattens them to strings.
+    $config | ConvertTo-Json -Depth 10 | Set-Content $configPath -Encoding UTF8
     Write-Ok "config.json updated with detected paths (Python, Chrome, ffmpeg)"
 } catch {
     Write-Warn "Could not update config.json: $_"
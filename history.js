@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+
+const { sanitizeError } = require("./utils");
+
+function safeFileName(key) {
+    // Chat IDs are numeric (negative for groups), but keep file names portable regardless.
+    return key.toString().replace(/[^A-Za-z0-9_.-]/g, "_");
+}
+
+function createHistoryStore({ DATA_DIR } = {}) {
+    const HISTORY_DIR = path.join(DATA_DIR, "state", "history");
+
+    // chatId -> { messages: Array<{role, content}>, lastAttachment: { imagePath?, audioPath?, filePath? }, updatedAt }
+    const entries = new Map();
+    // chatId -> Promise (serializes writes so an older snapshot never overwrites a newer one)
+    const pendingWrites = new Map();
+
+    function fileFor(chatId) {
+        return path.join(HISTORY_DIR, `${safeFileName(chatId)}.json`);
+    }
+
+    function load() {
+        fs.mkdirSync(HISTORY_DIR, { recursive: true });
+        let loaded = 0;
+        for (const name of fs.readdirSync(HISTORY_DIR)) {
+            if (!name.endsWith(".json")) continue;
+            try {
+                const raw = JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, name), "utf8"));
+                if (raw == null || raw.chatId == null) continue;
+                entries.set(raw.chatId.toString(), {
+                    messages: Array.isArray(raw.messages) ? raw.messages : [],
+                    lastAttachment: raw.lastAttachment && typeof raw.lastAttachment === "object" ? raw.lastAttachment : {},
+                    updatedAt: raw.updatedAt || null
+                });
+                loaded += 1;
+            } catch (e) {
+                console.warn(`[history] Could not load ${name}:`, e?.message || e);
+            }
+        }
+        if (loaded > 0) console.log(`[history] loaded ${loaded} chat(s) from ${HISTORY_DIR}`);
+    }
+
+    function entryFor(chatId) {
+        const key = chatId.toString();
+        let entry = entries.get(key);
+        if (!entry) {
+            entry = { messages: [], lastAttachment: {}, updatedAt: null };
+            entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    async function persist(chatId) {
+        const key = chatId.toString();
+        const previous = pendingWrites.get(key) || Promise.resolve();
+        const next = previous.then(async () => {
+            const filePath = fileFor(key);
+            const entry = entries.get(key);
+            try {
+                await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+                if (!entry) {
+                    await fs.promises.rm(filePath, { force: true });
+                    return;
+                }
+                // Write to a temp file and rename so a crash mid-write never corrupts the history.
+                const tmpPath = `${filePath}.${process.pid}.tmp`;
+                const payload = { chatId: key, updatedAt: entry.updatedAt, lastAttachment: entry.lastAttachment, messages: entry.messages };
+                await fs.promises.writeFile(tmpPath, JSON.stringify(payload), "utf8");
+                await fs.promises.rename(tmpPath, filePath);
+            } catch (e) {
+                console.warn("[history_write_failed]", sanitizeError(e));
+            }
+        });
+        pendingWrites.set(key, next);
+        await next;
+        if (pendingWrites.get(key) === next) pendingWrites.delete(key);
+    }
+
+    function getMessages(chatId) {
+        return entries.get(chatId.toString())?.messages || [];
+    }
+
+    async function setMessages(chatId, messages) {
+        const entry = entryFor(chatId);
+        entry.messages = Array.isArray(messages) ? messages : [];
+        entry.updatedAt = new Date().toISOString();
+        await persist(chatId);
+    }
+
+    function getAttachment(chatId) {
+        return entries.get(chatId.toString())?.lastAttachment || {};
+    }
+
+    async function setAttachment(chatId, patch) {
+        const entry = entryFor(chatId);
+        entry.lastAttachment = { ...entry.lastAttachment, ...(patch || {}) };
+        entry.updatedAt = new Date().toISOString();
+        await persist(chatId);
+    }
+
+    async function reset(chatId) {
+        const existed = entries.delete(chatId.toString());
+        await persist(chatId);
+        return existed;
+    }
+
+    load();
+
+    return { HISTORY_DIR, getMessages, setMessages, getAttachment, setAttachment, reset };
+}
+
+function describeContent(content, maxChars) {
+    const clip = (s) => {
+        const t = (s ?? "").toString().replace(/\s+/g, " ").trim();
+        return t.length > maxChars ? `${t.slice(0, maxChars)}…` : t;
+    };
+    if (typeof content === "string") return clip(content);
+    if (!Array.isArray(content)) return "";
+    return content
+        .map((block) => {
+            if (block?.type === "text") return clip(block.text);
+            if (block?.type === "tool_use") return `[tool_use ${block.name}] ${clip(block.input?.command || block.input?.url || (block.input?.script ? "(script)" : ""))}`.trim();
+            if (block?.type === "tool_result") {
+                let ok = "";
+                try { ok = JSON.parse(block.content)?.success === false ? " failed" : " ok"; } catch (_) {}
+                return `[tool_result${ok}]`;
+            }
+            if (block?.type === "image") return "[image]";
+            return null;
+        })
+        .filter(Boolean)
+        .join(" ");
+}
+
+// Render the last `limit` messages as a compact, human-readable transcript for /history.
+function formatHistory(messages, { limit = 10, maxChars = 300 } = {}) {
+    const list = Array.isArray(messages) ? messages : [];
+    if (!list.length) return "History is empty.";
+    const recent = list.slice(-limit);
+    const lines = recent.map((m) => {
+        const isToolResults = Array.isArray(m.content) && m.content.length > 0 && m.content.every((b) => b?.type === "tool_result");
+        const who = m.role === "assistant" ? "Bot" : (isToolResults ? "Tools" : "You");
+        return `${who}: ${describeContent(m.content, maxChars) || "(empty)"}`;
+    });
+    const header = `Last ${recent.length} of ${list.length} message(s):`;
+    return [header, "", ...lines].join("\n");
+}
+
+module.exports = { createHistoryStore, formatHistory };
@@ -0,0 +1,198 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const { killProcessTree, sanitizeError } = require("./utils");
+
+const KEEP_FINISHED_JOBS = 100;
+const TAIL_READ_BYTES = 64 * 1024;
+
+// Long-running commands started with execute_command { background: true }. Each job writes
+// stdout+stderr to DATA_DIR/jobs/<id>.log and keeps running after the agent turn ends; its
+// metadata lives in DATA_DIR/state/jobs.json. Jobs are detached and outlive the bot; those that
+// were running when it stopped are marked "lost" on the next start (their pid is kept).
+function createJobManager({ DATA_DIR, maxRunning = 5, maxRuntimeMs = 12 * 60 * 60 * 1000 } = {}) {
+    const LOG_DIR = path.join(DATA_DIR, "jobs");
+    const FILE = path.join(DATA_DIR, "state", "jobs.json");
+    const children = new Map(); // id -> { child, timer, killedAs, onExit }
+    let data = { nextId: 1, jobs: [] };
+    let writing = Promise.resolve();
+
+    try {
+        if (fs.existsSync(FILE)) data = JSON.parse(fs.readFileSync(FILE, "utf8")) || data;
+        if (!Array.isArray(data.jobs)) data.jobs = [];
+        for (const job of data.jobs) {
+            if (job.status === "running") job.status = "lost";
+        }
+    } catch (e) {
+        console.warn("[jobs] Could not load jobs.json:", e?.message || e);
+    }
+
+    function persist() {
+        const snapshot = JSON.stringify(data, null, 2);
+        writing = writing.then(async () => {
+            try {
+                await fs.promises.mkdir(path.dirname(FILE), { recursive: true });
+                const tmpPath = `${FILE}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tmpPath, snapshot, "utf8");
+                await fs.promises.rename(tmpPath, FILE);
+            } catch (e) {
+                console.warn("[jobs_write_failed]", sanitizeError(e));
+            }
+        });
+        return writing;
+    }
+
+    function prune() {
+        const finished = data.jobs.filter((j) => j.status !== "running");
+        const excess = finished.length - KEEP_FINISHED_JOBS;
+        if (excess > 0) {
+            const drop = new Set(finished.slice(0, excess));
+            data.jobs = data.jobs.filter((j) => !drop.has(j));
+        }
+    }
+
+    function running() {
+        return data.jobs.filter((j) => j.status === "running");
+    }
+
+    // `cmd` is a full command line (as built by executeCommand). `onExit(job)` is called once
+    // when the process ends, times out or is killed.
+    function start({ cmd, cwd, chatId, userId, label, onExit }) {
+        if (running().length >= maxRunning) {
+            throw new Error(`Too many background jobs running (${maxRunning}). Wait for one to finish or stop one with /kill <id>.`);
+        }
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+        const id = data.nextId++;
+        const logPath = path.join(LOG_DIR, `${id}.log`);
+        const fd = fs.openSync(logPath, "a");
+        let child;
+        try {
+            // Detached: its own process group, so Ctrl+C on the bot does not reach it and /kill
+            // can stop the whole tree, not just the wrapper shell.
+            child = spawn(cmd, [], { shell: true, cwd, windowsHide: true, detached: true, stdio: ["ignore", fd, fd] });
+        } finally {
+            fs.closeSync(fd);
+        }
+        child.unref();
+
+        const job = {
+            id,
+            chatId,
+            userId,
+            label: (label || cmd).toString().slice(0, 200),
+            cwd,
+            pid: child.pid ?? null,
+            status: "running",
+            exitCode: null,
+            error: null,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            logPath
+        };
+        data.jobs.push(job);
+
+        const entry = { child, killedAs: null, onExit, timer: null };
+        if (maxRuntimeMs > 0) {
+            entry.timer = setTimeout(() => {
+                entry.killedAs = "timeout";
+                killProcessTree(child);
+            }, maxRuntimeMs);
+            if (typeof entry.timer.unref === "function") entry.timer.unref();
+        }
+        children.set(id, entry);
+
+        let ended = false;
+        const end = (patch) => {
+            if (ended) return;
+            ended = true;
+            clearTimeout(entry.timer);
+            children.delete(id);
+            Object.assign(job, patch, { endedAt: new Date().toISOString() });
+            prune();
+            persist();
+            if (typeof entry.onExit === "function") {
+                Promise.resolve()
+                    .then(() => entry.onExit(job))
+                    .catch((e) => console.warn("[job_notify_failed]", sanitizeError(e)));
+            }
+        };
+        child.on("error", (e) => end({ status: "failed", error: e.message }));
+        child.on("close", (code, signal) => {
+            const status = entry.killedAs || (code === 0 ? "succeeded" : "failed");
+            end({ status, exitCode: Number.isInteger(code) ? code : null, error: signal && !entry.killedAs ? `Terminated by ${signal}` : null });
+        });
+
+        persist();
+        return job;
+    }
+
+    function get(id) {
+        return data.jobs.find((j) => j.id === id) || null;
+    }
+
+    // Newest first.
+    function list(chatId) {
+        const all = chatId == null ? data.jobs : data.jobs.filter((j) => j.chatId?.toString() === chatId.toString());
+        return [...all].reverse();
+    }
+
+    function kill(id) {
+        const entry = children.get(id);
+        if (!entry) return false;
+        entry.killedAs = "killed";
+        killProcessTree(entry.child);
+        return true;
+    }
+
+    // Last `lines` lines of the job's log ("" if the log is gone, e.g. removed by data retention).
+    async function tail(id, lines = 30) {
+        const job = get(id);
+        if (!job) return "";
+        let handle;
+        try {
+            handle = await fs.promises.open(job.logPath, "r");
+            const { size } = await handle.stat();
+            const length = Math.min(size, TAIL_READ_BYTES);
+            const buf = Buffer.alloc(length);
+            await handle.read(buf, 0, length, size - length);
+            const text = buf.toString("utf8").replace(/\r\n/g, "\n").replace(/\n$/, "");
+            return text.split("\n").slice(-lines).join("\n");
+        } catch (_) {
+            return "";
+        } finally {
+            await handle?.close();
+        }
+    }
+
+    return { LOG_DIR, start, get, list, kill, tail, running };
+}
+
+function formatDuration(job) {
+    const end = job.endedAt ? Date.parse(job.endedAt) : Date.now();
+    const s = Math.max(0, Math.round((end - Date.parse(job.startedAt)) / 1000));
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+    return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+function describeStatus(job) {
+    if (job.status === "running") return `running ${formatDuration(job)}`;
+    if (job.status === "lost") return `lost (bot restarted; pid ${job.pid ?? "?"} may still run)`;
+    const code = job.exitCode != null ? `, exit ${job.exitCode}` : "";
+    return `${job.status}${code} after ${formatDuration(job)}`;
+}
+
+function formatJobs(jobs) {
+    if (!jobs.length) return "No background jobs in this chat.";
+    const lines = jobs.slice(0, 20).map((j) => `#${j.id} ${describeStatus(j)}\n   ${j.label.slice(0, 100)}`);
+    return [...lines, "", "/logs <id> [lines] shows output, /kill <id> stops a running job."].join("\n");
+}
+
+// The notice line only; the output tail is sent after it as its own monospace message.
+function formatJobFinished(job, hasOutput = false) {
+    const head = `Background job #${job.id} ${describeStatus(job)}: ${job.label.slice(0, 100)}`;
+    return hasOutput ? `${head}\n\nLast output:` : head;
+}
+
+module.exports = { createJobManager, formatJobs, formatJobFinished, describeStatus };
@@ -2,7 +2,7 @@ const fs = require("fs");
 const path = require("path");
 
 const { loadConfig } = require("./config");
-const { execPromise } = require("./utils");
+const { execPromise, execCancellable, spawnWithStdin, runPythonCommand } = require("./utils");
 
 function guessImageMime(filePath) {
     const ext = path.extname(filePath).toLowerCase();
@@ -12,8 +12,31 @@ function guessImageMime(filePath) {
     return "image/jpeg";
 }
 
-function createOpenAI({ TMP_DIR, OPENAI_VISION_MODEL, OPENAI_TRANSCRIBE_MODEL } = {}) {
+function formatClock(seconds) {
+    const s = Math.max(0, Math.floor(Number(seconds) || 0));
+    const mmss = `${Math.floor((s % 3600) / 60)}:${String(s % 60).padStart(2, "0")}`;
+    return s >= 3600 ? `${Math.floor(s / 3600)}:${mmss.padStart(5, "0")}` : mmss;
+}
+
+// Transcript segments as "[0:00–0:04] text" lines; "" when the provider returned none.
+function formatTranscriptSegments(segments) {
+    return (Array.isArray(segments) ? segments : [])
+        .map((s) => `[${formatClock(s.start)}–${formatClock(s.end)}] ${s.text}`)
+        .join("\n");
+}
+
+// `stt`: speech-to-text settings (config `stt`): { provider: "openai" | "whisper.cpp" |
+// "faster-whisper", command, model, language, threads, timeoutSeconds }.
+function createOpenAI({ TMP_DIR, OPENAI_VISION_MODEL, OPENAI_TRANSCRIBE_MODEL, stt = {} } = {}) {
     let openaiClientPromise = null;
+    const STT = {
+        provider: (stt.provider || "openai").toString().trim().toLowerCase(),
+        command: (stt.command || "").toString().trim(),
+        model: (stt.model || "").toString().trim(),
+        language: (stt.language || "").toString().trim(),
+        threads: Math.max(0, Math.floor(Number(stt.threads)) || 0),
+        timeoutMs: Math.max(10, Math.floor(Number(stt.timeoutSeconds)) || 300) * 1000
+    };
 
     async function getOpenAIClient() {
         const key = process.env.OPENAI_API_KEY;
@@ -27,7 +50,7 @@ function createOpenAI({ TMP_DIR, OPENAI_VISION_MODEL, OPENAI_TRANSCRIBE_MODEL }
         return await openaiClientPromise;
     }
 
-    async function analyzeImageWithOpenAI(imagePath, promptText) {
+    async function analyzeImageWithOpenAI(imagePath, promptText, { signal } = {}) {
         const openai = await getOpenAIClient();
         if (!openai) {
             return { success: false, error: "OPENAI_API_KEY is not set (image understanding disabled).", output: "" };
@@ -53,8 +76,8 @@ function createOpenAI({ TMP_DIR, OPENAI_VISION_MODEL, OPENAI_TRANSCRIBE_MODEL }
                         ]
                     }
                 ]
-            });
-            return { success: true, output: response.output_text || "" };
+            }, { signal });
+            return { success: true, output: response.output_text || "", model: OPENAI_VISION_MODEL, usage: response.usage || null };
         }
 
         if (openai.client?.chat?.completions?.create) {
@@ -69,9 +92,9 @@ function createOpenAI({ TMP_DIR, OPENAI_VISION_MODEL, OPENAI_TRANSCRIBE_MODEL }
                         ]
                     }
                 ]
-            });
+            }, { signal });
             const text = completion?.choices?.[0]?.message?.content || "";
-            return { success: true, output: text };
+            return { success: true, output: text, model: OPENAI_VISION_MODEL, usage: completion?.usage || null };
         }
 
         return { success: false, error: "OpenAI client does not support responses or chat.completions in this runtime.", output: "" };
@@ -159,69 +182,203 @@ function createOpenAI({ TMP_DIR, OPENAI_VISION_MODEL, OPENAI_TRANSCRIBE_MODEL }
         return await refreshFfmpegAvailability();
     }
 
-    async function convertAudioToMp3(inputPath) {
+    // "mp3" for OpenAI; "wav16k" is the 16 kHz mono PCM WAV that whisper.cpp reads.
+    async function convertAudio(inputPath, { format = "mp3", signal } = {}) {
         const outDir = path.join(TMP_DIR, "audio");
         await fs.promises.mkdir(outDir, { recursive: true });
-        const outPath = path.join(outDir, `audio-${Date.now()}-${Math.random().toString(16).slice(2)}.mp3`);
+        const ext = format === "wav16k" ? "wav" : "mp3";
+        const outPath = path.join(outDir, `audio-${Date.now()}-${Math.random().toString(16).slice(2)}.${ext}`);
         const ffmpeg = await resolveFfmpegPath();
         if (!ffmpeg) {
             throw new Error("ffmpeg not found");
         }
-        const cmd = ffmpeg === "ffmpeg"
-            ? `ffmpeg -y -i "${inputPath}" "${outPath}"`
-            : `"${ffmpeg}" -y -i "${inputPath}" "${outPath}"`;
-        await execPromise(cmd, { timeout: 120000, windowsHide: true, maxBuffer: 10 * 1024 * 1024 });
+        const exe = ffmpeg === "ffmpeg" ? "ffmpeg" : `"${ffmpeg}"`;
+        const codec = format === "wav16k" ? " -ar 16000 -ac 1 -c:a pcm_s16le" : "";
+        const cmd = `${exe} -y -i "${inputPath}"${codec} "${outPath}"`;
+        await execCancellable(cmd, { timeout: 120000, windowsHide: true, maxBuffer: 10 * 1024 * 1024 }, signal);
         return outPath;
     }
 
-    async function transcribeAudioWithOpenAI(audioPath) {
+    // Converts the audio with ffmpeg when `force` is set or its extension is not in `supported`.
+    // Returns { path } or { error } (a failed transcription result).
+    async function prepareAudio(audioPath, { supported = null, format = "mp3", force = false, signal } = {}) {
+        const ext = path.extname(audioPath).toLowerCase();
+        if (!force && supported && supported.has(ext)) return { path: audioPath };
+
+        const ok = await ensureFfmpegAvailable();
+        if (!ok) {
+            const why = force ? "Local transcription needs ffmpeg to convert the audio" : `Unsupported audio format ${ext || "(unknown)"}`;
+            return {
+                error: {
+                    success: false,
+                    error: `${why}. Install ffmpeg (or set FFMPEG_PATH) so I can convert it before transcription.`,
+                    output: ""
+                }
+            };
+        }
+        try {
+            return { path: await convertAudio(audioPath, { format, signal }) };
+        } catch (e) {
+            if (e?.cancelled) return { error: { success: false, cancelled: true, error: "Cancelled by user (ffmpeg killed).", output: "" } };
+            return { error: { success: false, error: `Failed to convert audio via ffmpeg: ${e?.message || String(e)}`, output: "" } };
+        }
+    }
+
+    const round = (n) => Math.round(Number(n) * 100) / 100;
+    const normalizeSegments = (list) => (Array.isArray(list) ? list : [])
+        .map((s) => ({ start: round(s.start), end: round(s.end), text: (s.text || "").trim() }))
+        .filter((s) => s.text);
+
+    async function transcribeAudioWithOpenAI(audioPath, { signal } = {}) {
         const openai = await getOpenAIClient();
         if (!openai) {
             return { success: false, error: "OPENAI_API_KEY is not set (voice transcription disabled).", output: "" };
         }
 
-        let toTranscribe = audioPath;
-        const ext = path.extname(audioPath).toLowerCase();
         // OpenAI STT supports: mp3, mp4, mpeg, mpga, m4a, wav, webm.
         const supported = new Set([".mp3", ".mp4", ".mpeg", ".mpga", ".m4a", ".wav", ".webm"]);
-        const needsConvert = !supported.has(ext);
+        const audio = await prepareAudio(audioPath, { supported, format: "mp3", signal });
+        if (audio.error) return audio.error;
 
-        if (needsConvert) {
-            const ok = await ensureFfmpegAvailable();
-            if (!ok) {
-                return {
-                    success: false,
-                    error:
-                        `Unsupported audio format ${ext || "(unknown)"}. ` +
-                        "Install ffmpeg (or set FFMPEG_PATH) so I can convert to mp3 before transcription.",
-                    output: ""
-                };
-            }
-            try {
-                toTranscribe = await convertAudioToMp3(audioPath);
-            } catch (e) {
-                return {
-                    success: false,
-                    error: `Failed to convert audio via ffmpeg: ${e?.message || String(e)}`,
-                    output: ""
-                };
+        // Only whisper-1 returns language, duration and segments (verbose_json); the gpt-4o
+        // transcribe models return plain text.
+        const verbose = OPENAI_TRANSCRIBE_MODEL === "whisper-1";
+        try {
+            const transcription = await openai.client.audio.transcriptions.create({
+                file: fs.createReadStream(audio.path),
+                model: OPENAI_TRANSCRIBE_MODEL,
+                ...(STT.language ? { language: STT.language } : {}),
+                ...(verbose ? { response_format: "verbose_json", timestamp_granularities: ["segment"] } : {})
+            }, { signal });
+            const text = transcription?.text || "";
+            const usage = transcription?.usage || null;
+            const duration = transcription?.duration ?? (usage?.type === "duration" ? usage.seconds : null);
+            return {
+                success: true,
+                output: text,
+                provider: "openai",
+                model: OPENAI_TRANSCRIBE_MODEL,
+                language: transcription?.language || STT.language || null,
+                duration: duration == null ? null : round(duration),
+                segments: normalizeSegments(transcription?.segments),
+                // Newer transcription models report token or duration usage; whisper-1 only its duration.
+                usage: usage || (duration != null ? { type: "duration", seconds: duration } : null)
+            };
+        } catch (e) {
+            if (signal?.aborted) return { success: false, cancelled: true, error: "Cancelled by user.", output: "" };
+            return { success: false, error: e?.message || String(e), output: "" };
+        }
+    }
+
+    // whisper.cpp command line (whisper-cli, or "main" in older builds). Reads 16 kHz WAV and
+    // writes <out>.json with segment offsets in milliseconds.
+    async function transcribeWithWhisperCpp(audioPath, { signal } = {}) {
+        if (!STT.model) {
+            return { success: false, error: "Set stt.model to the path of a whisper.cpp ggml model (e.g. ggml-base.bin).", output: "" };
+        }
+        const audio = await prepareAudio(audioPath, { format: "wav16k", force: true, signal });
+        if (audio.error) return audio.error;
+
+        const outBase = path.join(TMP_DIR, "audio", `stt-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+        const args = ["-m", STT.model, "-f", audio.path, "-oj", "-of", outBase, "-l", STT.language || "auto", "-np"];
+        if (STT.threads > 0) args.push("-t", String(STT.threads));
+        try {
+            const r = await spawnWithStdin(STT.command || "whisper-cli", args, "", { timeoutMs: STT.timeoutMs, signal });
+            if (r.exitCode !== 0) {
+                return { success: false, error: `whisper.cpp exited with code ${r.exitCode}: ${(r.stderr || r.stdout).trim().slice(-500)}`, output: "" };
             }
+            const json = JSON.parse(await fs.promises.readFile(`${outBase}.json`, "utf8"));
+            const segments = normalizeSegments((json.transcription || []).map((s) => ({
+                start: (s.offsets?.from || 0) / 1000,
+                end: (s.offsets?.to || 0) / 1000,
+                text: s.text
+            })));
+            // 16 kHz mono 16-bit PCM: 32000 bytes per second after the 44-byte header.
+            const { size } = await fs.promises.stat(audio.path);
+            return {
+                success: true,
+                output: segments.map((s) => s.text).join(" "),
+                provider: "whisper.cpp",
+                model: path.basename(STT.model),
+                language: json.result?.language || STT.language || null,
+                duration: round(Math.max(0, size - 44) / 32000),
+                segments,
+                usage: null
+            };
+        } catch (e) {
+            if (e?.cancelled || signal?.aborted) return { success: false, cancelled: true, error: "Cancelled by user.", output: "" };
+            if (e?.code === "ENOENT") return { success: false, error: `whisper.cpp not found: ${STT.command || "whisper-cli"} (set stt.command).`, output: "" };
+            return { success: false, error: `whisper.cpp failed: ${e?.message || String(e)}`, output: "" };
+        } finally {
+            fs.promises.unlink(`${outBase}.json`).catch(() => {});
         }
+    }
+
+    // faster-whisper through Python (pip install faster-whisper). It decodes any format itself.
+    // On an offline machine set stt.model to a local model directory instead of a size name.
+    const FASTER_WHISPER_SCRIPT = [
+        "import json, sys",
+        "from faster_whisper import WhisperModel",
+        "audio, model, language, threads = sys.argv[1:5]",
+        "m = WhisperModel(model, device='auto', compute_type='default', cpu_threads=int(threads))",
+        "segments, info = m.transcribe(audio, language=language or None)",
+        "segs = [{'start': s.start, 'end': s.end, 'text': s.text} for s in segments]",
+        "print(json.dumps({'language': info.language, 'duration': info.duration, 'segments': segs}))"
+    ].join("\n");
 
+    async function transcribeWithFasterWhisper(audioPath, { signal } = {}) {
+        const py = STT.command || (loadConfig().browserUsePython || "python").toString().trim();
+        const model = STT.model || "small";
         try {
-            const transcription = await openai.client.audio.transcriptions.create({
-                file: fs.createReadStream(toTranscribe),
-                model: OPENAI_TRANSCRIBE_MODEL
+            const r = await runPythonCommand(py, ["-c", FASTER_WHISPER_SCRIPT, audioPath, model, STT.language || "", String(STT.threads || 0)], {
+                timeoutMs: STT.timeoutMs,
+                signal
             });
-            const text = transcription?.text || "";
-            return { success: true, output: text };
+            const last = r.stdout.trim().split(/\r?\n/).pop() || "";
+            if (r.exitCode !== 0 || !last.startsWith("{")) {
+                const hint = /No module named 'faster_whisper'/.test(r.stderr) ? " (pip install faster-whisper)" : "";
+                return { success: false, error: `faster-whisper failed${hint}: ${(r.stderr || r.stdout).trim().slice(-500)}`, output: "" };
+            }
+            const json = JSON.parse(last);
+            const segments = normalizeSegments(json.segments);
+            return {
+                success: true,
+                output: segments.map((s) => s.text).join(" "),
+                provider: "faster-whisper",
+                model: path.basename(model),
+                language: json.language || null,
+                duration: json.duration == null ? null : round(json.duration),
+                segments,
+                usage: null
+            };
         } catch (e) {
-            return { success: false, error: e?.message || String(e), output: "" };
+            if (e?.cancelled || signal?.aborted) return { success: false, cancelled: true, error: "Cancelled by user.", output: "" };
+            if (e?.code === "ENOENT") return { success: false, error: `Python not found: ${py} (set stt.command).`, output: "" };
+            return { success: false, error: `faster-whisper failed: ${e?.message || String(e)}`, output: "" };
+        }
+    }
+
+    const STT_PROVIDERS = {
+        openai: transcribeAudioWithOpenAI,
+        "whisper.cpp": transcribeWithWhisperCpp,
+        "faster-whisper": transcribeWithFasterWhisper
+    };
+
+    // Transcribes with the configured provider (stt.provider). Resolves to
+    // { success, output, provider, model, language, duration, segments: [{ start, end, text }], usage }
+    // (times in seconds; language/duration are null when the provider does not report them), or
+    // { success: false, error, cancelled? }.
+    async function transcribeAudio(audioPath, { signal } = {}) {
+        const provider = STT_PROVIDERS[STT.provider];
+        if (!provider) {
+            return { success: false, error: `Unknown stt.provider "${STT.provider}" (use ${Object.keys(STT_PROVIDERS).join(", ")}).`, output: "" };
         }
+        return await provider(audioPath, { signal });
     }
 
     return {
         analyzeImageWithOpenAI,
+        transcribeAudio,
         transcribeAudioWithOpenAI,
         // ffmpeg helpers (used by webcam tool and error hints)
         resolveFfmpegPath,
@@ -230,4 +387,4 @@ function createOpenAI({ TMP_DIR, OPENAI_VISION_MODEL, OPENAI_TRANSCRIBE_MODEL }
     };
 }
 
-module.exports = { createOpenAI };
+module.exports = { createOpenAI, formatTranscriptSegments };
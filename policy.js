@@ -0,0 +1,92 @@
+const ACTIONS = new Set(["allow", "deny", "require_approval"]);
+
+// Patterns are plain regex sources (case-insensitive), or "/source/flags" for explicit flags.
+function compilePattern(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    const s = (pattern ?? "").toString();
+    const m = s.match(/^\/(.+)\/([a-z]*)$/s);
+    return m ? new RegExp(m[1], m[2]) : new RegExp(s, "i");
+}
+
+function asList(v) {
+    if (v == null) return [];
+    return (Array.isArray(v) ? v : [v]).map((x) => x.toString().trim()).filter(Boolean);
+}
+
+function compileRule(rule, index) {
+    const action = (rule?.action || "").toString().trim().toLowerCase();
+    if (!ACTIONS.has(action)) throw new Error(`invalid action "${rule?.action}"`);
+    const match = rule.match || {};
+    return {
+        id: (rule.id || `rule-${index + 1}`).toString(),
+        index,
+        action,
+        reason: (rule.reason || "").toString(),
+        command: match.command != null ? compilePattern(match.command) : null,
+        script: match.script != null ? compilePattern(match.script) : null,
+        text: match.text != null ? compilePattern(match.text) : null,
+        cwd: match.cwd != null ? compilePattern(match.cwd) : null,
+        shells: asList(match.shell).map((s) => s.toLowerCase()),
+        users: asList(match.users)
+    };
+}
+
+function ruleMatches(rule, subject) {
+    if (rule.command && !(subject.command && rule.command.test(subject.command))) return false;
+    if (rule.script && !(subject.script && rule.script.test(subject.script))) return false;
+    if (rule.text && !rule.text.test(`${subject.command || ""}\n${subject.script || ""}`)) return false;
+    if (rule.cwd && !rule.cwd.test(subject.cwd || "")) return false;
+    if (rule.shells.length && !rule.shells.includes((subject.shell || "").toLowerCase())) return false;
+    if (rule.users.length && !rule.users.includes((subject.userId ?? "").toString())) return false;
+    return true;
+}
+
+// Evaluate an execute_command call against config.commandPolicy.
+// Rules are checked top to bottom; the first rule whose conditions ALL match decides.
+// Returns { action, rule, reason } where rule is null when the default action applied.
+function evaluateCommandPolicy(policyCfg, subject) {
+    const cfg = policyCfg && typeof policyCfg === "object" ? policyCfg : {};
+    const defaultAction = ACTIONS.has(cfg.defaultAction) ? cfg.defaultAction : "allow";
+    const rules = Array.isArray(cfg.rules) ? cfg.rules : [];
+
+    for (let i = 0; i < rules.length; i++) {
+        let rule;
+        try {
+            rule = compileRule(rules[i], i);
+        } catch (e) {
+            console.warn(`[policy] Skipping commandPolicy.rules[${i}]:`, e?.message || e);
+            continue;
+        }
+        if (ruleMatches(rule, subject)) {
+            return { action: rule.action, rule: { id: rule.id, index: rule.index }, reason: rule.reason };
+        }
+    }
+    return { action: defaultAction, rule: null, reason: "No rule matched; default action applied." };
+}
+
+// Tool result returned to Claude when the policy blocks a call, so it can adapt.
+function policyBlockedResult(decision) {
+    const ruleName = decision.rule ? `rule "${decision.rule.id}"` : "default action";
+    const needsApproval = decision.action === "require_approval";
+    return {
+        success: false,
+        blocked: true,
+        error: needsApproval
+            ? `Command requires approval by policy (${ruleName}) and was not approved.`
+            : `Command blocked by policy (${ruleName})${decision.reason ? `: ${decision.reason}` : "."}`,
+        policy: { action: decision.action, rule: decision.rule?.id || null, reason: decision.reason || "" },
+        output: ""
+    };
+}
+
+function formatPolicyDecision(decision, subject) {
+    return [
+        `Action: ${decision.action}`,
+        `Rule: ${decision.rule ? `#${decision.rule.index + 1} "${decision.rule.id}"` : "(none, default action)"}`,
+        decision.reason ? `Reason: ${decision.reason}` : null,
+        `Shell: ${subject.shell}`,
+        `cwd: ${subject.cwd}`
+    ].filter(Boolean).join("\n");
+}
+
+module.exports = { evaluateCommandPolicy, policyBlockedResult, formatPolicyDecision };
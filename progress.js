@@ -0,0 +1,138 @@
+// One status message per agent run, edited in place as tool calls start and finish,
+// instead of a new chat message per tool call.
+
+const MAX_VISIBLE_STEPS = 25;
+
+function summarizeToolInput(name, input = {}) {
+    const clip = (s, n = 80) => {
+        const t = (s ?? "").toString().replace(/\s+/g, " ").trim();
+        return t.length > n ? `${t.slice(0, n)}…` : t;
+    };
+    if (name === "execute_command") {
+        const bg = input.background === true ? "[background] " : "";
+        if (input.script) return `${bg}[script:${input.shell || "auto"}] ${clip(input.script, 60)}`;
+        return `${bg}${clip(input.command || "(empty)")}`;
+    }
+    if (name === "send_file") return clip((Array.isArray(input.paths) ? input.paths : [input.paths]).filter(Boolean).join(", "));
+    if (name === "check_job") return input.job_id != null ? `#${input.job_id}` : "all";
+    if (name === "browse_website") return clip(input.url || "");
+    if (name === "run_healer") return clip(input.reason || "");
+    if (name === "capture_webcam_photo") return clip(input.device_name || "");
+    return "";
+}
+
+// Map a tool result object to a short status label for the step log.
+function statusForResult(result) {
+    if (!result || typeof result !== "object") return { ok: false, label: "failed" };
+    if (result.cancelled) return { ok: false, label: "cancelled" };
+    if (result.deferred) return { ok: true, label: "deferred" };
+    if (result.deduped) return { ok: true, label: "skipped (duplicate)" };
+    if (result.denied) return { ok: false, label: result.approval === "timeout" ? "approval timed out" : "denied" };
+    if (result.blocked) return { ok: false, label: "blocked by policy" };
+    if (result.forbidden) return { ok: false, label: "not allowed for role" };
+    if (result.background) return { ok: true, label: `job #${result.job_id} started` };
+    if (result.success) return { ok: true, label: "ok" };
+    return { ok: false, label: "failed" };
+}
+
+function formatSeconds(ms) {
+    const s = ms / 1000;
+    return s < 10 ? `${s.toFixed(1)}s` : `${Math.round(s)}s`;
+}
+
+function createProgressMessage({ chatId, safeSendMessage, safeEditMessage, title, minIntervalMs = 1500, heartbeatMs = 15000 } = {}) {
+    const startedAt = Date.now();
+    const steps = []; // { name, summary, startedAt, endedAt, ok, label }
+    let headline = "Working";
+    let messageId = null;
+    let lastText = "";
+    let lastFlushAt = 0;
+    let timer = null;
+    let chain = Promise.resolve();
+    let finished = false;
+
+    function render() {
+        const now = Date.now();
+        const clippedTitle = (title || "").toString().replace(/\s+/g, " ").trim().slice(0, 100);
+        const lines = [`${headline}${clippedTitle ? `: ${clippedTitle}` : ""}`];
+        const hidden = Math.max(0, steps.length - MAX_VISIBLE_STEPS);
+        if (hidden) lines.push(`… ${hidden} earlier step(s)`);
+        steps.slice(hidden).forEach((st, i) => {
+            const mark = st.endedAt == null ? "[..]" : (st.ok ? "[ok]" : "[x]");
+            const time = st.endedAt == null ? `${formatSeconds(now - st.startedAt)}…` : formatSeconds(st.endedAt - st.startedAt);
+            const label = st.endedAt != null && st.label !== "ok" ? ` — ${st.label}` : "";
+            lines.push(`${hidden + i + 1}. ${mark} ${st.name}${st.summary ? `: ${st.summary}` : ""} (${time})${label}`);
+        });
+        lines.push(`Elapsed: ${formatSeconds(now - startedAt)}`);
+        return lines.join("\n");
+    }
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        chain = chain.then(async () => {
+            const text = render();
+            if (text === lastText) return;
+            lastFlushAt = Date.now();
+            if (messageId == null) {
+                const sent = await safeSendMessage(chatId, text);
+                messageId = sent?.message_id ?? null;
+            } else {
+                await safeEditMessage(chatId, messageId, text);
+            }
+            lastText = text;
+        }).catch(() => {});
+        return chain;
+    }
+
+    // Coalesce bursts of updates into at most one edit per `minIntervalMs`.
+    function schedule() {
+        if (timer || finished) return;
+        const wait = Math.max(0, minIntervalMs - (Date.now() - lastFlushAt));
+        timer = setTimeout(flush, wait);
+    }
+
+    // Keep the elapsed time of a long-running step moving.
+    const heartbeat = setInterval(() => {
+        if (steps.some((st) => st.endedAt == null)) schedule();
+    }, heartbeatMs);
+    if (typeof heartbeat.unref === "function") heartbeat.unref();
+
+    async function start() {
+        await flush();
+    }
+
+    function step(name, input) {
+        const st = { name, summary: summarizeToolInput(name, input), startedAt: Date.now(), endedAt: null, ok: null, label: "" };
+        steps.push(st);
+        schedule();
+        return {
+            done(result) {
+                const status = statusForResult(result);
+                st.endedAt = Date.now();
+                st.ok = status.ok;
+                st.label = status.label;
+                schedule();
+            }
+        };
+    }
+
+    // status: "done" | "failed" | "cancelled"
+    async function finish(status = "done") {
+        finished = true;
+        clearInterval(heartbeat);
+        for (const st of steps) {
+            if (st.endedAt == null) {
+                st.endedAt = Date.now();
+                st.ok = false;
+                st.label = status === "cancelled" ? "cancelled" : "unfinished";
+            }
+        }
+        headline = status === "cancelled" ? "Cancelled" : (status === "failed" ? "Failed" : "Done");
+        await flush();
+    }
+
+    return { start, step, finish };
+}
+
+module.exports = { createProgressMessage, summarizeToolInput };
@@ -0,0 +1,95 @@
+const { sanitizeError } = require("./utils");
+
+// Per-chat FIFO of agent requests: one request runs at a time per chat, so history
+// updates and tool runs never interleave. Commands (/cancel, /queue, ...) bypass the queue.
+function createChatQueue() {
+    const chats = new Map(); // chatId -> { current: job|null, pending: job[] }
+    let nextId = 1;
+
+    function stateFor(chatId) {
+        const key = chatId.toString();
+        if (!chats.has(key)) chats.set(key, { current: null, pending: [] });
+        return chats.get(key);
+    }
+
+    async function drain(chatId) {
+        const st = stateFor(chatId);
+        if (st.current) return;
+        while (st.pending.length) {
+            st.current = st.pending.shift();
+            st.current.startedAt = Date.now();
+            try {
+                await st.current.task();
+            } catch (e) {
+                console.warn("[queue_task_failed]", sanitizeError(e));
+            } finally {
+                st.current = null;
+            }
+        }
+        chats.delete(chatId.toString());
+    }
+
+    // Add a request. `position` is 1 when it starts right away, 2 when one request is ahead, etc.
+    function enqueue(chatId, { label, userId, task }) {
+        const st = stateFor(chatId);
+        const job = { id: nextId++, label: (label || "").toString(), userId, task, enqueuedAt: Date.now(), startedAt: null };
+        st.pending.push(job);
+        const position = st.pending.length + (st.current ? 1 : 0);
+        drain(chatId).catch((e) => console.warn("[queue_drain_failed]", sanitizeError(e)));
+        return { job, position };
+    }
+
+    function snapshot(chatId) {
+        const st = chats.get(chatId.toString());
+        return { current: st?.current || null, pending: st ? [...st.pending] : [] };
+    }
+
+    // Remove the pending request at 1-based `index` (the running one is not in this list). Returns it or null.
+    function drop(chatId, index) {
+        const st = chats.get(chatId.toString());
+        if (!st || index < 1 || index > st.pending.length) return null;
+        return st.pending.splice(index - 1, 1)[0];
+    }
+
+    // Remove pending requests (all of them, or those matching `predicate`). Returns how many were removed.
+    function clear(chatId, predicate = () => true) {
+        const st = chats.get(chatId.toString());
+        if (!st) return 0;
+        const before = st.pending.length;
+        st.pending = st.pending.filter((job) => !predicate(job));
+        return before - st.pending.length;
+    }
+
+    // Jobs running or pending in any chat that match `predicate` (e.g. one user's requests).
+    function count(predicate = () => true) {
+        let n = 0;
+        for (const st of chats.values()) {
+            if (st.current && predicate(st.current)) n += 1;
+            n += st.pending.filter(predicate).length;
+        }
+        return n;
+    }
+
+    return { enqueue, snapshot, drop, clear, count };
+}
+
+function formatQueue({ current, pending }, { mode = "queue" } = {}) {
+    const clip = (s) => (s.length > 80 ? `${s.slice(0, 80)}…` : s);
+    const now = Date.now();
+    const lines = [`Mode: ${mode}`];
+    if (!current && !pending.length) {
+        lines.push("Queue is empty.");
+        return lines.join("\n");
+    }
+    if (current) lines.push(`Running: "${clip(current.label)}" (${Math.round((now - current.startedAt) / 1000)}s)`);
+    if (pending.length) {
+        lines.push("Pending:");
+        pending.forEach((job, i) => {
+            lines.push(`${i + 1}. "${clip(job.label)}" (waiting ${Math.round((now - job.enqueuedAt) / 1000)}s)`);
+        });
+        lines.push("", "Drop one with /queue drop <n>, or all with /queue clear.");
+    }
+    return lines.join("\n");
+}
+
+module.exports = { createChatQueue, formatQueue };
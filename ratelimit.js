@@ -0,0 +1,153 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Sliding-window counter: key -> timestamps of recent events.
+function createWindow(windowMs) {
+    const events = new Map();
+
+    function recent(key, now) {
+        const kept = (events.get(key) || []).filter((t) => now - t < windowMs);
+        if (kept.length) events.set(key, kept);
+        else events.delete(key);
+        return kept;
+    }
+
+    return {
+        // null if another event fits under `limit`, else the time (ms) when the oldest one expires.
+        check(key, limit, now) {
+            if (!(limit > 0)) return null;
+            const kept = recent(key, now);
+            return kept.length < limit ? null : kept[0] + windowMs;
+        },
+        add(key, now) {
+            events.set(key, [...recent(key, now), now]);
+        },
+        // Drops keys whose events have all expired.
+        prune(now) {
+            for (const key of [...events.keys()]) recent(key, now);
+        }
+    };
+}
+
+function formatWait(ms) {
+    const s = Math.max(1, Math.ceil(ms / 1000));
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.ceil(s / 60)} min`;
+    const m = Math.ceil((s % 3600) / 60);
+    return `${Math.floor(s / 3600)}h${m ? ` ${m}m` : ""}`;
+}
+
+// Flood protection for the Telegram handler. All limits are per user and per chat; 0 disables one.
+//   messages per minute  - every message except /cancel
+//   concurrent runs      - requests in flight (running or waiting in the chat queue)
+//   tool calls per hour  - tool calls already made; checked before a new request starts
+// Limits live in memory and start fresh after a restart. When a limit is hit, only the first
+// refused message until the reset time gets a reply (`notify`), so the reply cannot be flooded.
+//
+// Unauthorized senders get the "Unauthorized user" reply with exponential back-off per user and
+// chat: the first message is answered, then at most once per 1x, 2x, 4x... the base delay up to
+// the maximum. The back-off resets after a quiet period as long as the maximum delay.
+function createRateLimiter({
+    userMessagesPerMinute = 0,
+    chatMessagesPerMinute = 0,
+    userConcurrentRuns = 0,
+    chatConcurrentRuns = 0,
+    userToolCallsPerHour = 0,
+    chatToolCallsPerHour = 0,
+    unauthorizedBackoffSeconds = 30,
+    unauthorizedBackoffMaxSeconds = 3600
+} = {}) {
+    const messages = createWindow(MINUTE_MS);
+    const toolCalls = createWindow(HOUR_MS);
+    const notifiedUntil = new Map(); // limit key -> reset time already announced
+    const unauthorized = new Map(); // "user:chat" -> { strikes, nextAt, lastAt }
+    let prunedAt = 0;
+
+    const userKey = (userId) => `u:${userId}`;
+    const chatKey = (chatId) => `c:${chatId}`;
+
+    function backoffMs() {
+        const baseMs = Math.max(1, Number(unauthorizedBackoffSeconds) || 30) * 1000;
+        const maxMs = Math.max(baseMs, (Number(unauthorizedBackoffMaxSeconds) || 3600) * 1000);
+        return { baseMs, maxMs };
+    }
+
+    // At most once a minute, forget senders and limits that are past their reset, so the maps do
+    // not grow with every user who ever wrote.
+    function prune(now) {
+        if (now - prunedAt < MINUTE_MS) return;
+        prunedAt = now;
+        for (const [key, resetAt] of notifiedUntil) if (resetAt <= now) notifiedUntil.delete(key);
+        const { maxMs } = backoffMs();
+        for (const [key, st] of unauthorized) if (now - st.lastAt > maxMs) unauthorized.delete(key);
+        messages.prune(now);
+        toolCalls.prune(now);
+    }
+
+    function refuse(key, resetAt, text, now) {
+        const notify = (notifiedUntil.get(key) || 0) <= now;
+        if (notify) notifiedUntil.set(key, resetAt);
+        const at = new Date(resetAt).toLocaleTimeString();
+        return { notify, resetAt, message: `${text} Try again in ${formatWait(resetAt - now)} (at ${at}).` };
+    }
+
+    // Counts the message if it is allowed. Returns null, or { notify, resetAt, message }.
+    function checkMessage(userId, chatId, now = Date.now()) {
+        prune(now);
+        const userReset = messages.check(userKey(userId), userMessagesPerMinute, now);
+        if (userReset) return refuse(`msg:${userKey(userId)}`, userReset, `Slow down: you can send ${userMessagesPerMinute} messages per minute.`, now);
+        const chatReset = messages.check(chatKey(chatId), chatMessagesPerMinute, now);
+        if (chatReset) return refuse(`msg:${chatKey(chatId)}`, chatReset, `Slow down: this chat allows ${chatMessagesPerMinute} messages per minute.`, now);
+        messages.add(userKey(userId), now);
+        messages.add(chatKey(chatId), now);
+        return null;
+    }
+
+    // Before a message starts an agent run. `userRuns` / `chatRuns` are the requests already in
+    // flight for the user (any chat) and for this chat.
+    function checkRun(userId, chatId, { userRuns = 0, chatRuns = 0 } = {}, now = Date.now()) {
+        if (userConcurrentRuns > 0 && userRuns >= userConcurrentRuns) {
+            return {
+                notify: true,
+                resetAt: null,
+                message: `You already have ${userRuns} request(s) running or queued (limit ${userConcurrentRuns}). Wait for one to finish, or drop one with /queue drop <n>.`
+            };
+        }
+        if (chatConcurrentRuns > 0 && chatRuns >= chatConcurrentRuns) {
+            return {
+                notify: true,
+                resetAt: null,
+                message: `This chat already has ${chatRuns} request(s) running or queued (limit ${chatConcurrentRuns}). Wait for one to finish, or see /queue.`
+            };
+        }
+        const userReset = toolCalls.check(userKey(userId), userToolCallsPerHour, now);
+        if (userReset) return refuse(`tool:${userKey(userId)}`, userReset, `You reached the limit of ${userToolCallsPerHour} tool calls per hour.`, now);
+        const chatReset = toolCalls.check(chatKey(chatId), chatToolCallsPerHour, now);
+        if (chatReset) return refuse(`tool:${chatKey(chatId)}`, chatReset, `This chat reached the limit of ${chatToolCallsPerHour} tool calls per hour.`, now);
+        return null;
+    }
+
+    function recordToolCall(userId, chatId, now = Date.now()) {
+        if (userId != null) toolCalls.add(userKey(userId), now);
+        if (chatId != null) toolCalls.add(chatKey(chatId), now);
+    }
+
+    // True if an unauthorized message from this user in this chat should be answered.
+    function shouldAnswerUnauthorized(userId, chatId, now = Date.now()) {
+        prune(now);
+        const key = `${userId}:${chatId}`;
+        const { baseMs, maxMs } = backoffMs();
+        let st = unauthorized.get(key);
+        if (!st || now - st.lastAt > maxMs) st = { strikes: 0, nextAt: 0, lastAt: now };
+        st.lastAt = now;
+        unauthorized.set(key, st);
+        if (now < st.nextAt) return false;
+        st.nextAt = now + Math.min(baseMs * 2 ** st.strikes, maxMs);
+        st.strikes += 1;
+        return true;
+    }
+
+    return { checkMessage, checkRun, recordToolCall, shouldAnswerUnauthorized };
+}
+
+module.exports = { createRateLimiter };
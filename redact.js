@@ -0,0 +1,113 @@
+// Secret masking for anything the bot writes out: tool results (before Claude or the chat sees
+// them), outgoing Telegram / API messages and the audit log.
+
+const SECRET_ENV_VARS = ["TELEGRAM_BOT_TOKEN", "ANTHROPIC_API_KEY", "OPENAI_API_KEY", "BOT_API_TOKEN", "TELEGRAM_WEBHOOK_SECRET"];
+// Other environment variables whose values are masked because their name looks secret.
+const SECRET_ENV_NAME_RE = /(TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIALS?)/i;
+const MIN_SECRET_LENGTH = 8;
+
+const SECRET_PATTERNS = [
+    { re: /-----BEGIN [A-Z ]*PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY( BLOCK)?-----/g, replace: "<redacted private key>" },
+    { re: /\bsk-ant-[A-Za-z0-9_-]{10,}/g, replace: "<redacted>" }, // Anthropic
+    { re: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g, replace: "<redacted>" }, // OpenAI
+    { re: /\b\d{6,12}:[A-Za-z0-9_-]{30,}\b/g, replace: "<redacted>" }, // Telegram bot token
+    { re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, replace: "<redacted>" }, // AWS access key id
+    { re: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g, replace: "<redacted>" }, // GitHub
+    { re: /\bgithub_pat_[A-Za-z0-9_]{40,}\b/g, replace: "<redacted>" },
+    { re: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g, replace: "<redacted>" }, // Slack
+    { re: /\bAIza[0-9A-Za-z_-]{35}\b/g, replace: "<redacted>" }, // Google API key
+    { re: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g, replace: "<redacted jwt>" },
+    // key=value assignments (also FOO_API_KEY=..., "client_secret": "..."): keep the key so the text stays readable.
+    // A password is masked whatever it is; other keys only when the value looks like a secret
+    // (8+ characters, not just a number), so settings such as max_token: 4096 stay as they are.
+    {
+        re: /\b([A-Za-z0-9_.-]*(?:password|passwd)"?\s*[=:]\s*)(?!<)("[^"\n]*"|'[^'\n]*'|[^\s,;]+)/gi,
+        replace: "$1<redacted>"
+    },
+    {
+        re: /\b([A-Za-z0-9_.-]*(?:secret|token|api[_-]?key|access[_-]?key)"?\s*[=:]\s*)(?!<)("[^"\n]{8,}"|'[^'\n]{8,}'|(?!\d+(?![^\s,;]))[^\s,;"']{8,})/gi,
+        replace: "$1<redacted>"
+    }
+];
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// `patterns`: extra regular expressions (strings, matched case-sensitively) whose matches are
+// replaced with <redacted>. `envVars`: extra environment variable names whose values are masked.
+// redact() / redactDeep() also return how many replacements were made.
+function createRedactor({ patterns = [], envVars = [] } = {}) {
+    const extra = [];
+    for (const source of Array.isArray(patterns) ? patterns : []) {
+        try {
+            extra.push({ re: new RegExp(source, "g"), replace: "<redacted>" });
+        } catch (e) {
+            console.warn(`[redact] Ignoring invalid pattern ${JSON.stringify(source)}: ${e.message}`);
+        }
+    }
+    const extraEnv = (Array.isArray(envVars) ? envVars : []).map((n) => n.toString());
+
+    // Read at call time, so keys set after startup (e.g. by the healer) are covered too.
+    function envSecrets() {
+        const names = new Set([...SECRET_ENV_VARS, ...extraEnv]);
+        for (const name of Object.keys(process.env)) {
+            if (SECRET_ENV_NAME_RE.test(name)) names.add(name);
+        }
+        const out = [];
+        for (const name of names) {
+            const value = (process.env[name] || "").trim();
+            if (value.length >= MIN_SECRET_LENGTH) out.push({ name, value });
+        }
+        // Longest first, so a secret that contains another is masked whole.
+        return out.sort((a, b) => b.value.length - a.value.length);
+    }
+
+    function redact(text) {
+        let out = (text ?? "").toString();
+        let count = 0;
+        const apply = (re, replace) => {
+            const hits = out.match(re);
+            if (!hits) return;
+            count += hits.length;
+            out = out.replace(re, replace);
+        };
+        for (const { name, value } of envSecrets()) apply(new RegExp(escapeRegExp(value), "g"), `<${name}>`);
+        for (const { re, replace } of [...SECRET_PATTERNS, ...extra]) apply(re, replace);
+        return { text: out, count };
+    }
+
+    // Deep-copy a JSON-like value with every string redacted.
+    function redactDeep(value) {
+        let count = 0;
+        const walk = (v) => {
+            if (typeof v === "string") {
+                const r = redact(v);
+                count += r.count;
+                return r.text;
+            }
+            if (Array.isArray(v)) return v.map(walk);
+            if (v && typeof v === "object") {
+                const out = {};
+                for (const [k, item] of Object.entries(v)) out[k] = walk(item);
+                return out;
+            }
+            return v;
+        };
+        return { value: walk(value), count };
+    }
+
+    return { redact, redactDeep, mask: (text) => redact(text).text, maskDeep: (value) => redactDeep(value).value };
+}
+
+const defaultRedactor = createRedactor();
+
+function maskSecrets(text) {
+    return defaultRedactor.mask(text);
+}
+
+function maskSecretsDeep(value) {
+    return defaultRedactor.maskDeep(value);
+}
+
+module.exports = { createRedactor, maskSecrets, maskSecretsDeep };
@@ -0,0 +1,119 @@
+// Role-based access control.
+//
+// config.json:
+//   "roles":     { "<role>": { "tools": "*" | [toolName...], "canChangeSettings": bool, "chats": "*" | [chatId...] } }
+//   "userRoles": { "<telegramUserId>": "<role>" }
+//   "defaultRole": role given to users listed in AUTHORIZED_USER_IDS without a userRoles entry.
+//   "groups":    { "<groupChatId>": { "role": "<role>" | null } }
+//
+// When neither AUTHORIZED_USER_IDS nor userRoles lists anyone, every sender gets defaultRole
+// (the historical "no whitelist configured" behaviour).
+//
+// Group chats (negative chat IDs) are only served when listed in "groups". There, users keep their
+// own role; with a group "role", every other member of the group gets that role in that group.
+// Chat IDs may be forum-topic keys ("<chatId>:<threadId>"); the topic belongs to its group.
+
+const { parseChatKey } = require("./utils");
+
+function asIdList(v) {
+    if (v === "*" || v == null) return "*";
+    return (Array.isArray(v) ? v : [v]).map((x) => x.toString().trim()).filter(Boolean);
+}
+
+function normalizeRole(name, raw) {
+    const r = raw && typeof raw === "object" ? raw : {};
+    return {
+        name,
+        tools: asIdList(r.tools ?? []),
+        canChangeSettings: r.canChangeSettings === true,
+        chats: asIdList(r.chats ?? "*")
+    };
+}
+
+function baseChatId(chatId) {
+    return (parseChatKey(chatId).chatId ?? "").toString();
+}
+
+function isGroupChat(chatId) {
+    return /^-\d+$/.test(baseChatId(chatId));
+}
+
+function createAccessControl({ roles = {}, userRoles = {}, defaultRole = "admin", authorizedUserIds = [], groups = {} } = {}) {
+    const roleDefs = new Map(Object.entries(roles || {}).map(([name, raw]) => [name, normalizeRole(name, raw)]));
+    const assignments = new Map(Object.entries(userRoles || {}).map(([id, role]) => [id.toString().trim(), (role || "").toString().trim()]));
+    const listed = new Set((authorizedUserIds || []).map((id) => id.toString().trim()).filter(Boolean));
+    const openAccess = listed.size === 0 && assignments.size === 0;
+    const groupDefs = new Map(Object.entries(groups || {}).map(([id, g]) => [
+        id.toString().trim(),
+        { id: id.toString().trim(), role: g && typeof g === "object" && g.role ? g.role.toString().trim() : null }
+    ]));
+
+    for (const [id, role] of assignments) {
+        if (!roleDefs.has(role)) console.warn(`[roles] userRoles.${id} refers to unknown role "${role}" (user will be denied).`);
+    }
+    if (!roleDefs.has(defaultRole)) console.warn(`[roles] defaultRole "${defaultRole}" is not defined in roles.`);
+    for (const group of groupDefs.values()) {
+        if (group.role && !roleDefs.has(group.role)) console.warn(`[roles] groups.${group.id} refers to unknown role "${group.role}".`);
+    }
+
+    // The "groups" entry for a group chat (or one of its topics), or null if it is not listed.
+    function groupFor(chatId) {
+        if (chatId == null) return null;
+        return groupDefs.get(baseChatId(chatId)) || null;
+    }
+
+    // Returns the role object for a user, or null when the user has no access at all. With a
+    // `chatId`, members of a listed group without a role of their own get the group's role.
+    function roleFor(userId, chatId = null) {
+        const id = (userId ?? "").toString();
+        if (assignments.has(id)) return roleDefs.get(assignments.get(id)) || null;
+        if (listed.has(id) || openAccess) return roleDefs.get(defaultRole) || null;
+        const groupRole = groupFor(chatId)?.role;
+        return groupRole ? roleDefs.get(groupRole) || null : null;
+    }
+
+    function canActInChat(userId, chatId) {
+        const role = roleFor(userId, chatId);
+        if (!role) return false;
+        if (isGroupChat(chatId) && !groupFor(chatId)) return false;
+        return role.chats === "*" || role.chats.includes(baseChatId(chatId));
+    }
+
+    function canUseTool(userId, toolName, chatId = null) {
+        const role = roleFor(userId, chatId);
+        if (!role) return false;
+        return role.tools === "*" || role.tools.includes(toolName);
+    }
+
+    function canChangeSettings(userId, chatId = null) {
+        return roleFor(userId, chatId)?.canChangeSettings === true;
+    }
+
+    // User IDs that hold a role with full tool access and settings rights; they receive security reports.
+    function adminUserIds() {
+        const ids = new Set();
+        const isAdminRole = (role) => role && role.tools === "*" && role.canChangeSettings;
+        for (const [id, roleName] of assignments) {
+            if (isAdminRole(roleDefs.get(roleName))) ids.add(id);
+        }
+        if (isAdminRole(roleDefs.get(defaultRole))) {
+            for (const id of listed) if (!assignments.has(id)) ids.add(id);
+        }
+        return [...ids];
+    }
+
+    function describe(userId, chatId = null) {
+        const role = roleFor(userId, chatId);
+        if (!role) return "No role assigned (unauthorized).";
+        return [
+            `Role: ${role.name}`,
+            `Tools: ${role.tools === "*" ? "all" : (role.tools.join(", ") || "none")}`,
+            `Can change settings: ${role.canChangeSettings ? "yes" : "no"}`,
+            `Chats: ${role.chats === "*" ? "all" : role.chats.join(", ")}`
+        ].join("\n");
+    }
+
+    return { roleFor, groupFor, isGroupChat, canActInChat, canUseTool, canChangeSettings, adminUserIds, describe };
+}
+
+module.exports = { createAccessControl };
@@ -0,0 +1,69 @@
+// Tracks in-flight agent runs per chat so they can be cancelled with /cancel.
+// Each run owns an AbortController; its signal is threaded through Anthropic calls and tool
+// execution (shells, the browser-use runner, ffmpeg), which kill their child processes on abort.
+
+function createRunRegistry() {
+    const active = new Map(); // chatId -> Set<run>
+    let nextId = 1;
+
+    function start(chatId, label) {
+        const controller = new AbortController();
+        const run = {
+            id: nextId++,
+            chatId,
+            label: (label || "").toString(),
+            startedAt: Date.now(),
+            controller,
+            signal: controller.signal,
+            // Human-readable description of what the run is doing right now (for /cancel reports).
+            activity: "starting",
+            toolCalls: 0
+        };
+        const key = chatId.toString();
+        if (!active.has(key)) active.set(key, new Set());
+        active.get(key).add(run);
+        return run;
+    }
+
+    function finish(run) {
+        if (!run) return;
+        const key = run.chatId.toString();
+        const set = active.get(key);
+        if (!set) return;
+        set.delete(run);
+        if (!set.size) active.delete(key);
+    }
+
+    function list(chatId) {
+        return [...(active.get(chatId.toString()) || [])];
+    }
+
+    // Abort every run in the chat. Returns snapshots taken just before aborting.
+    function cancel(chatId) {
+        const runs = list(chatId);
+        const snapshots = runs.map((run) => ({
+            id: run.id,
+            label: run.label,
+            activity: run.activity,
+            toolCalls: run.toolCalls,
+            elapsedMs: Date.now() - run.startedAt
+        }));
+        for (const run of runs) {
+            try { run.controller.abort(new Error("Cancelled by user")); } catch (_) {}
+        }
+        return snapshots;
+    }
+
+    return { start, finish, list, cancel };
+}
+
+function formatCancelledRuns(snapshots) {
+    if (!snapshots.length) return "Nothing to cancel: no request is running in this chat.";
+    const lines = snapshots.map((s) => {
+        const label = s.label.length > 80 ? `${s.label.slice(0, 80)}…` : s.label;
+        return `- "${label}" (${Math.round(s.elapsedMs / 1000)}s, ${s.toolCalls} tool call(s) done)\n  Interrupted: ${s.activity}`;
+    });
+    return [`Cancelled ${snapshots.length} run(s):`, ...lines].join("\n");
+}
+
+module.exports = { createRunRegistry, formatCancelledRuns };
@@ -0,0 +1,249 @@
+const fs = require("fs");
+const path = require("path");
+
+const { sanitizeError } = require("./utils");
+
+const MINUTE_MS = 60 * 1000;
+// A run that is due less than this long ago is on time; older ones count as missed (downtime).
+const MISSED_GRACE_MS = 2 * MINUTE_MS;
+
+const CRON_ALIASES = {
+    "@hourly": "0 * * * *",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@weekly": "0 0 * * 0",
+    "@monthly": "0 0 1 * *"
+};
+
+const CRON_FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12 },
+    { name: "day of week", min: 0, max: 7 }
+];
+
+function parseCronField(raw, { name, min, max }) {
+    const values = new Set();
+    for (const part of raw.split(",")) {
+        const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!m) throw new Error(`Invalid ${name} field "${raw}"`);
+        const step = m[4] ? Number(m[4]) : 1;
+        let from = min;
+        let to = max;
+        if (m[2] != null) {
+            from = Number(m[2]);
+            to = m[3] != null ? Number(m[3]) : (m[4] ? max : from);
+        }
+        if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid ${name} field "${raw}" (allowed ${min}-${max})`);
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return { any: raw === "*", values };
+}
+
+function parseCron(expr) {
+    const fields = expr.trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error("A cron expression needs 5 fields: minute hour day-of-month month day-of-week");
+    const [minute, hour, dom, month, dow] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+    if (dow.values.has(7)) dow.values.add(0); // 7 is Sunday too
+    return { minute, hour, dom, month, dow };
+}
+
+const UNIT_MS = { m: MINUTE_MS, h: 60 * MINUTE_MS, d: 24 * 60 * MINUTE_MS };
+
+// "every 30m" | "every 2h" | "every 1d" | "@daily" | "<5-field cron>"
+function parseScheduleSpec(text) {
+    const t = (text || "").toString().trim();
+    const every = /^every\s+(\d+)\s*([mhd])$/i.exec(t);
+    if (every) {
+        const everyMs = Number(every[1]) * UNIT_MS[every[2].toLowerCase()];
+        if (everyMs < MINUTE_MS) throw new Error("The shortest interval is 1 minute.");
+        return { type: "interval", everyMs, text: `every ${every[1]}${every[2].toLowerCase()}` };
+    }
+    if (/^every\b/i.test(t)) throw new Error('Intervals look like "every 30m", "every 2h" or "every 1d".');
+    const expr = CRON_ALIASES[t.toLowerCase()] || t;
+    parseCron(expr); // validate
+    return { type: "cron", expr, text: t };
+}
+
+function cronMatchesDay(cron, d) {
+    if (!cron.month.values.has(d.getMonth() + 1)) return false;
+    const domOk = cron.dom.values.has(d.getDate());
+    const dowOk = cron.dow.values.has(d.getDay());
+    // Classic cron: when both day fields are restricted, either one may match.
+    if (!cron.dom.any && !cron.dow.any) return domOk || dowOk;
+    return domOk && dowOk;
+}
+
+// Next run strictly after `fromMs`, in the bot machine's local time.
+function nextRunAfter(spec, fromMs) {
+    if (spec.type === "interval") return fromMs + spec.everyMs;
+    const cron = parseCron(spec.expr);
+    const d = new Date(fromMs);
+    d.setSeconds(0, 0);
+    d.setMinutes(d.getMinutes() + 1);
+    const limit = fromMs + 366 * 24 * 60 * MINUTE_MS * 5;
+    while (d.getTime() <= limit) {
+        if (!cronMatchesDay(cron, d)) {
+            d.setDate(d.getDate() + 1);
+            d.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hour.values.has(d.getHours())) {
+            d.setHours(d.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minute.values.has(d.getMinutes())) {
+            d.setMinutes(d.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return d.getTime();
+    }
+    throw new Error(`Cron expression "${spec.expr}" never matches.`);
+}
+
+// Recurring prompts per chat, stored in DATA_DIR/state/schedules.json. `onRun(item, { missed })`
+// is called when an item is due; the caller queues it like a normal request.
+//
+// catchUp decides what happens to runs missed while the bot was down:
+//   "skip" - do not run them, continue with the next regular time
+//   "once" - run once now for all missed occurrences
+//   "all"  - run every missed occurrence (at most `maxCatchUpRuns`)
+function createScheduler({ DATA_DIR, catchUp = "once", maxCatchUpRuns = 5, tickMs = 30 * 1000, onRun } = {}) {
+    const FILE = path.join(DATA_DIR, "state", "schedules.json");
+    let data = { nextId: 1, items: [] };
+    let writing = Promise.resolve();
+    let timer = null;
+
+    try {
+        if (fs.existsSync(FILE)) data = JSON.parse(fs.readFileSync(FILE, "utf8")) || data;
+        if (!Array.isArray(data.items)) data.items = [];
+        if (!Number.isInteger(data.nextId)) data.nextId = data.items.reduce((m, it) => Math.max(m, it.id), 0) + 1;
+    } catch (e) {
+        console.warn("[schedules] Could not load schedules.json:", e?.message || e);
+    }
+
+    function persist() {
+        const snapshot = JSON.stringify(data, null, 2);
+        writing = writing.then(async () => {
+            try {
+                await fs.promises.mkdir(path.dirname(FILE), { recursive: true });
+                const tmpPath = `${FILE}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tmpPath, snapshot, "utf8");
+                await fs.promises.rename(tmpPath, FILE);
+            } catch (e) {
+                console.warn("[schedules_write_failed]", sanitizeError(e));
+            }
+        });
+        return writing;
+    }
+
+    const sameChat = (a, b) => a.toString() === b.toString();
+
+    async function add({ chatId, userId, prompt, specText }) {
+        const spec = parseScheduleSpec(specText);
+        const now = Date.now();
+        const item = {
+            id: data.nextId++,
+            chatId,
+            userId,
+            prompt,
+            spec,
+            paused: false,
+            createdAt: new Date(now).toISOString(),
+            lastRunAt: null,
+            nextRunAt: nextRunAfter(spec, now)
+        };
+        data.items.push(item);
+        await persist();
+        return item;
+    }
+
+    function list(chatId) {
+        return data.items.filter((it) => sameChat(it.chatId, chatId));
+    }
+
+    function get(chatId, id) {
+        return data.items.find((it) => sameChat(it.chatId, chatId) && it.id === id) || null;
+    }
+
+    async function setPaused(chatId, id, paused) {
+        const item = get(chatId, id);
+        if (!item) return null;
+        item.paused = paused;
+        // Resuming starts from now; runs missed while paused are not caught up.
+        if (!paused) item.nextRunAt = nextRunAfter(item.spec, Date.now());
+        await persist();
+        return item;
+    }
+
+    async function remove(chatId, id) {
+        const item = get(chatId, id);
+        if (!item) return null;
+        data.items = data.items.filter((it) => it !== item);
+        await persist();
+        return item;
+    }
+
+    function missedRuns(item, now) {
+        let count = 0;
+        let t = item.nextRunAt;
+        while (t <= now && count < 1000) {
+            count += 1;
+            t = nextRunAfter(item.spec, t);
+        }
+        if (t <= now) t = nextRunAfter(item.spec, now); // very long downtime: stop counting
+        return { count, next: t };
+    }
+
+    function tick() {
+        const now = Date.now();
+        let changed = false;
+        for (const item of data.items) {
+            if (item.paused || item.nextRunAt > now) continue;
+            const late = now - item.nextRunAt > MISSED_GRACE_MS;
+            const { count, next } = missedRuns(item, now);
+            let runsNow = 1;
+            if (late) {
+                if (catchUp === "skip") runsNow = 0;
+                else if (catchUp === "all") runsNow = Math.min(count, maxCatchUpRuns);
+                if (runsNow < count) console.log(`[schedules] #${item.id}: ${count} run(s) missed, catch-up "${catchUp}" runs ${runsNow}`);
+            }
+            item.nextRunAt = next;
+            if (runsNow > 0) item.lastRunAt = new Date(now).toISOString();
+            changed = true;
+            for (let i = 0; i < runsNow; i++) {
+                Promise.resolve()
+                    .then(() => onRun(item, { missed: late }))
+                    .catch((e) => console.warn("[schedule_run_failed]", sanitizeError(e)));
+            }
+        }
+        if (changed) persist();
+    }
+
+    function start() {
+        if (timer) return;
+        tick();
+        timer = setInterval(tick, tickMs);
+        if (typeof timer.unref === "function") timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { add, list, get, setPaused, remove, start, stop };
+}
+
+function formatSchedules(items) {
+    if (!items.length) return "No schedules in this chat. Add one with /schedule <when> | <prompt>.";
+    const lines = items.map((it) => {
+        const next = it.paused ? "paused" : `next ${new Date(it.nextRunAt).toLocaleString()}`;
+        const prompt = it.prompt.length > 80 ? `${it.prompt.slice(0, 80)}…` : it.prompt;
+        return `#${it.id} [${it.spec.text}] ${next}\n   "${prompt}"`;
+    });
+    return [...lines, "", "Manage with /schedules pause|resume|delete <id>."].join("\n");
+}
+
+module.exports = { createScheduler, parseScheduleSpec, nextRunAfter, formatSchedules };
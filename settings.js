@@ -0,0 +1,44 @@
+const fs = require("fs");
+const path = require("path");
+
+const { sanitizeError } = require("./utils");
+
+// Per-chat settings changed from chat commands (e.g. /queue mode). Stored as one JSON file
+// under DATA_DIR/state so they survive restarts; /reset does not touch them.
+function createChatSettings({ DATA_DIR, defaults = {} } = {}) {
+    const FILE = path.join(DATA_DIR, "state", "chat-settings.json");
+    let all = {};
+    let writing = Promise.resolve();
+
+    try {
+        if (fs.existsSync(FILE)) all = JSON.parse(fs.readFileSync(FILE, "utf8")) || {};
+    } catch (e) {
+        console.warn("[settings] Could not load chat-settings.json:", e?.message || e);
+    }
+
+    function get(chatId) {
+        return { ...defaults, ...(all[chatId.toString()] || {}) };
+    }
+
+    async function update(chatId, patch) {
+        const key = chatId.toString();
+        all[key] = { ...(all[key] || {}), ...(patch || {}) };
+        const snapshot = JSON.stringify(all, null, 2);
+        writing = writing.then(async () => {
+            try {
+                await fs.promises.mkdir(path.dirname(FILE), { recursive: true });
+                const tmpPath = `${FILE}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tmpPath, snapshot, "utf8");
+                await fs.promises.rename(tmpPath, FILE);
+            } catch (e) {
+                console.warn("[settings_write_failed]", sanitizeError(e));
+            }
+        });
+        await writing;
+        return get(chatId);
+    }
+
+    return { get, update };
+}
+
+module.exports = { createChatSettings };
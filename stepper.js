@@ -0,0 +1,89 @@
+const { formatToolPreview } = require("./approvals");
+
+const MAX_REASON_CHARS = 800;
+
+function formatStepPrompt({ index, toolName, input, reason, note }) {
+    const why = (reason || "").trim();
+    const clipped = why.length > MAX_REASON_CHARS ? `${why.slice(0, MAX_REASON_CHARS)}…` : why;
+    const lines = [`Step ${index}: ${toolName}`];
+    if (clipped) lines.push("", clipped);
+    lines.push("", formatToolPreview(toolName, input, note, "Next call:"));
+    return lines.join("\n");
+}
+
+// Interactive step mode (/step on): before each tool call the chat sees what the agent intends
+// to do and why, and picks Next, Skip or Stop. Resolves with { action }: "next", "skip", "stop",
+// "timeout" or "cancelled". Built like the approval gate (approvals.js).
+function createStepGate({ bot, safeSendMessage, safeEditMessage, timeoutSeconds = 300, canDecide = () => true } = {}) {
+    const timeoutMs = Math.max(10, Math.floor(Number(timeoutSeconds)) || 300) * 1000;
+
+    // stepId -> { chatId, toolName, text, messageId, resolve, timer }
+    const pending = new Map();
+    let nextId = 1;
+
+    function finish(id, action, label) {
+        const entry = pending.get(id);
+        if (!entry) return;
+        pending.delete(id);
+        clearTimeout(entry.timer);
+        if (entry.messageId) safeEditMessage(entry.chatId, entry.messageId, `${entry.text}\n\n${label}`).catch(() => {});
+        entry.resolve({ action });
+    }
+
+    function requestStep(chatId, toolName, input, { index = 1, reason = "", note = "", signal } = {}) {
+        const id = (nextId++).toString(36);
+        const text = formatStepPrompt({ index, toolName, input, reason, note });
+        return new Promise((resolve) => {
+            pending.set(id, { chatId, toolName, text, messageId: null, resolve, timer: null });
+            if (signal) {
+                if (signal.aborted) {
+                    finish(id, "cancelled", "Cancelled.");
+                    return;
+                }
+                signal.addEventListener("abort", () => finish(id, "cancelled", "Cancelled (run was cancelled)."), { once: true });
+            }
+            const entry = pending.get(id);
+            entry.timer = setTimeout(() => finish(id, "timeout", `No answer after ${Math.round(timeoutMs / 1000)}s; stopped.`), timeoutMs);
+            safeSendMessage(chatId, text, {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: "Next", callback_data: `step:${id}:n` },
+                        { text: "Skip", callback_data: `step:${id}:s` },
+                        { text: "Stop", callback_data: `step:${id}:x` }
+                    ]]
+                }
+            }).then((sent) => {
+                if (!sent) finish(id, "stop", "Could not send the step prompt; stopped.");
+                else if (pending.has(id)) pending.get(id).messageId = sent.message_id;
+            });
+        });
+    }
+
+    // Returns true if the callback query belonged to the step gate.
+    async function handleCallbackQuery(query) {
+        const m = (query?.data || "").match(/^step:([a-z0-9]+):([nsx])$/);
+        if (!m) return false;
+        const [, id, key] = m;
+        const entry = pending.get(id);
+        const answer = async (text) => {
+            try { await bot.answerCallbackQuery(query.id, text ? { text } : undefined); } catch (_) {}
+        };
+        if (!entry) {
+            await answer("This step is no longer pending.");
+            return true;
+        }
+        if (!canDecide(query.from?.id?.toString(), entry.toolName, entry.chatId)) {
+            await answer(`Your role cannot run ${entry.toolName}.`);
+            return true;
+        }
+        const who = query.from?.username ? `@${query.from.username}` : (query.from?.id ?? "user").toString();
+        const action = { n: "next", s: "skip", x: "stop" }[key];
+        await answer(action[0].toUpperCase() + action.slice(1));
+        finish(id, action, { next: `Running (${who}).`, skip: `Skipped by ${who}.`, stop: `Stopped by ${who}.` }[action]);
+        return true;
+    }
+
+    return { requestStep, handleCallbackQuery };
+}
+
+module.exports = { createStepGate, formatStepPrompt };
@@ -3,13 +3,38 @@ const Anthropic = require("@anthropic-ai/sdk");
 const fs = require("fs");
 const path = require("path");
 
-const { createTelegramHelpers, sanitizeError, installProcessGuards } = require("./utils");
-const { createOpenAI } = require("./openai");
+const { createTelegramHelpers, chatKeyFor, parseChatKey, withReplyTo, bindReplyTarget, sanitizeError, installProcessGuards } = require("./utils");
+const { createOpenAI, formatTranscriptSegments } = require("./openai");
 const { createBrowser } = require("./browser");
 const { createTools } = require("./tools");
-const { loadConfig } = require("./config");
-
-function startTelegramBot() {
+const { loadConfig, DEFAULTS } = require("./config");
+const { createHistoryStore, formatHistory } = require("./history");
+const { createApprovalGate } = require("./approvals");
+const { createStepGate } = require("./stepper");
+const { createRateLimiter } = require("./ratelimit");
+const { createRedactor } = require("./redact");
+const { formatPolicyDecision, policyBlockedResult } = require("./policy");
+const { createAccessControl } = require("./roles");
+const { createRunRegistry, formatCancelledRuns } = require("./runs");
+const { createChatQueue, formatQueue } = require("./queue");
+const { createChatSettings } = require("./settings");
+const { createProgressMessage, summarizeToolInput } = require("./progress");
+const { createAuditLog, formatAuditEntries } = require("./audit");
+const { createUsageTracker, formatUsageReport, formatBudgetExceeded } = require("./usage");
+const { compactHistory, startAtTurnBoundary } = require("./compaction");
+const { createWebhookServer } = require("./webhook");
+const { createTelegramTransport } = require("./transport");
+const { createApiServer } = require("./api");
+const { createScheduler, formatSchedules } = require("./schedules");
+const { createJobManager, formatJobs, describeStatus: describeJobStatus } = require("./jobs");
+const { createUploadStore, describeUpload, formatBytes, formatRetention } = require("./uploads");
+const { createVision, pruneHistoryImages, imageRef } = require("./vision");
+
+// `bot` lets another front end stand in for node-telegram-bot-api (see cli.js); without it the
+// real Telegram bot is created and updates arrive by polling or webhook.
+// `dataDir` overrides config.dataDir; the terminal session (cli.js) uses its own so it never
+// shares state files with a bot running next to it.
+function startTelegramBot({ bot: injectedBot = null, anthropicBaseUrl = "", dataDir = "" } = {}) {
     const token = process.env.TELEGRAM_BOT_TOKEN;
     const anthropicApiKey = process.env.ANTHROPIC_API_KEY;
     // Support multiple users: AUTHORIZED_USER_IDS=id1,id2,... or single AUTHORIZED_USER_ID
@@ -20,18 +45,25 @@ function startTelegramBot() {
         return single ? [single] : [];
     })();
 
-    if (!token || !anthropicApiKey) {
+    if ((!token && !injectedBot) || !anthropicApiKey) {
         console.error("Missing required environment variables. Please check your .env file.");
         process.exit(1);
     }
 
     const cfg = loadConfig();
-    const DATA_DIR = path.resolve(cfg.dataDir || path.join(process.cwd(), "data"));
+    const DATA_DIR = path.resolve(dataDir || cfg.dataDir || path.join(process.cwd(), "data"));
     const TMP_DIR = path.join(DATA_DIR, "tmp");
+    // Durable bot state (chat history, etc.). Excluded from the retention cleanup below.
+    const STATE_DIR = path.join(DATA_DIR, "state");
+    const CLI_DATA_DIR = path.join(DATA_DIR, "cli");
+    const UPLOADS_DIR = path.join(DATA_DIR, "uploads");
     const NOTES_PATH = path.resolve(process.cwd(), (cfg.notesPath || "notes/notes.txt").toString().trim());
 
     const OPENAI_VISION_MODEL = cfg.openaiVisionModel || "gpt-4.1-mini";
     const OPENAI_TRANSCRIBE_MODEL = cfg.openaiTranscribeModel || "gpt-4o-mini-transcribe";
+    // "claude": photos go to Claude as image blocks; "openai": OpenAI describes them as text.
+    const VISION_PROVIDER = (cfg.visionProvider || "claude").toString().toLowerCase() === "openai" ? "openai" : "claude";
+    const VISION_HISTORY_IMAGES = Math.max(0, Math.floor(Number(cfg.visionHistoryImages ?? 3)) || 0);
 
     const DATA_RETENTION_HOURS = Math.max(1, Math.floor(Number(cfg.dataRetentionHours)) || 24);
     const DATA_CLEANUP_INTERVAL_MINUTES = Math.max(5, Math.floor(Number(cfg.dataCleanupIntervalMinutes)) || 60);
@@ -41,6 +73,53 @@ function startTelegramBot() {
     const DEEP_THINKING = cfg.deepThinking === true;
     const THINKING_BUDGET_TOKENS = Math.floor(Number(cfg.thinkingBudgetTokens)) || 8000;
     const STOP_AFTER_SUCCESSFUL_BROWSE = cfg.stopAfterSuccessfulBrowse !== false;
+    const TOOL_APPROVAL = (cfg.toolApproval && typeof cfg.toolApproval === "object") ? cfg.toolApproval : {};
+    const APPROVAL_TIMEOUT_SECONDS = Math.max(10, Math.floor(Number(cfg.approvalTimeoutSeconds)) || 300);
+    const AUDIT_MAX_BYTES = Math.max(64 * 1024, Math.floor(Number(cfg.auditMaxBytes)) || 5 * 1024 * 1024);
+    const AUDIT_MAX_FILES = Math.max(1, Math.min(50, Math.floor(Number(cfg.auditMaxFiles)) || 5));
+    const CLAUDE_MODEL = (cfg.claudeModel || "claude-sonnet-4-5-20250929").toString().trim();
+    const CLAUDE_MAX_TOKENS = Math.max(256, Math.min(64000, Math.floor(Number(cfg.claudeMaxTokens)) || 4096));
+    const CLAUDE_TEMPERATURE = Number.isFinite(Number(cfg.claudeTemperature)) && cfg.claudeTemperature !== null && cfg.claudeTemperature !== ""
+        ? Math.max(0, Math.min(1, Number(cfg.claudeTemperature)))
+        : null;
+    // Models offered by /model (the default is always included) and the order to fall back in.
+    const CLAUDE_MODELS = [...new Set([CLAUDE_MODEL, ...(Array.isArray(cfg.claudeModels) ? cfg.claudeModels : [])].map(String))];
+    const CLAUDE_FALLBACK_MODELS = (Array.isArray(cfg.claudeFallbackModels) ? cfg.claudeFallbackModels : []).map(String);
+    // Merged over the defaults so a config.json that prices one extra model keeps the rest.
+    const MODEL_PRICES = { ...DEFAULTS.modelPrices, ...(cfg.modelPrices || {}) };
+    const BUDGETS = { ...DEFAULTS.budgets, ...(cfg.budgets || {}) };
+    const HISTORY_COMPACTION = { ...DEFAULTS.historyCompaction, ...(cfg.historyCompaction || {}) };
+    const TRANSPORT = cfg.transport === "webhook" ? "webhook" : "polling";
+    const WEBHOOK = { ...DEFAULTS.webhook, ...(cfg.webhook || {}) };
+    const API = { ...DEFAULTS.api, ...(cfg.api || {}) };
+    const RATE_LIMITS = { ...DEFAULTS.rateLimits, ...(cfg.rateLimits || {}) };
+    const REDACTION = { ...DEFAULTS.redaction, ...(cfg.redaction || {}) };
+    const STT = { ...DEFAULTS.stt, ...(cfg.stt || {}) };
+    const QUEUE_MODES = ["queue", "interrupt"];
+    const QUEUE_MODE = QUEUE_MODES.includes(cfg.queueMode) ? cfg.queueMode : "queue";
+    const SCHEDULE_CATCH_UP = ["skip", "once", "all"].includes(cfg.scheduleCatchUp) ? cfg.scheduleCatchUp : "once";
+    const SCHEDULE_MAX_CATCH_UP_RUNS = Math.max(1, Math.min(50, Math.floor(Number(cfg.scheduleMaxCatchUpRuns)) || 5));
+    const MAX_SCHEDULES_PER_CHAT = Math.max(1, Math.floor(Number(cfg.maxSchedulesPerChat)) || 20);
+    const MAX_BACKGROUND_JOBS = Math.max(1, Math.floor(Number(cfg.maxBackgroundJobs)) || 5);
+    // 0 = no limit
+    const JOB_MAX_RUNTIME_MINUTES = Math.max(0, Math.floor(Number(cfg.jobMaxRuntimeMinutes ?? 720)) || 0);
+    const REPLY_FORMAT = cfg.replyFormat === "plain" ? "plain" : "html";
+    // 0 = never attach; long texts are always split into several messages.
+    const LONG_MESSAGE_ATTACH_CHARS = Math.max(0, Math.floor(Number(cfg.longMessageAttachChars ?? 12000)) || 0);
+    // 0 keeps uploads until they are deleted by hand.
+    const UPLOAD_RETENTION_HOURS = Math.max(0, Math.floor(Number(cfg.uploadRetentionHours ?? 168)) || 0);
+    const UPLOAD_MAX_BYTES = Math.max(1024, Math.floor(Number(cfg.uploadMaxBytes)) || 20 * 1024 * 1024);
+    const UPLOAD_ALLOWED_EXTENSIONS = cfg.uploadAllowedExtensions === "*" || Array.isArray(cfg.uploadAllowedExtensions)
+        ? cfg.uploadAllowedExtensions
+        : DEFAULTS.uploadAllowedExtensions;
+
+    const access = createAccessControl({
+        roles: cfg.roles,
+        userRoles: cfg.userRoles,
+        defaultRole: (cfg.defaultRole || "admin").toString(),
+        authorizedUserIds,
+        groups: cfg.groups
+    });
 
     // Ensure data and notes directories exist.
     try {
@@ -57,7 +136,7 @@ function startTelegramBot() {
         let deleted = 0;
         let scanned = 0;
 
-        async function walk(dir) {
+        async function walk(dir, cutoffMs) {
             let entries;
             try {
                 entries = await fs.promises.readdir(dir, { withFileTypes: true });
@@ -69,8 +148,13 @@ function startTelegramBot() {
                 const fullPath = path.join(dir, ent.name);
                 scanned += 1;
 
-                // Never delete the data root directory itself.
+                // Never delete the data root directory itself, nor persisted bot state.
                 if (path.resolve(fullPath) === path.resolve(DATA_DIR)) continue;
+                if (path.resolve(fullPath) === path.resolve(STATE_DIR)) continue;
+                // The terminal session's own data folder; it cleans up after itself.
+                if (path.resolve(fullPath) === path.resolve(CLI_DATA_DIR)) continue;
+                // Uploads have their own retention (uploadRetentionHours), swept below.
+                if (path.resolve(fullPath) === path.resolve(UPLOADS_DIR)) continue;
 
                 let st;
                 try {
@@ -83,7 +167,7 @@ function startTelegramBot() {
                 if (st.isSymbolicLink()) continue;
 
                 if (st.isDirectory()) {
-                    await walk(fullPath);
+                    await walk(fullPath, cutoffMs);
                     // Optionally remove empty directories if they are old-ish.
                     try {
                         const remaining = await fs.promises.readdir(fullPath);
@@ -110,20 +194,192 @@ function startTelegramBot() {
             }
         }
 
-        await walk(DATA_DIR);
+        await walk(DATA_DIR, cutoffMs);
         if (deleted > 0) {
             console.log(`[data_cleanup] deleted=${deleted} scanned=${scanned} retention_hours=${DATA_RETENTION_HOURS}`);
         }
+
+        if (UPLOAD_RETENTION_HOURS > 0) {
+            deleted = 0;
+            scanned = 0;
+            await walk(UPLOADS_DIR, Date.now() - UPLOAD_RETENTION_HOURS * 60 * 60 * 1000);
+            if (deleted > 0) {
+                console.log(`[upload_cleanup] deleted=${deleted} scanned=${scanned} retention_hours=${UPLOAD_RETENTION_HOURS}`);
+            }
+        }
     }
 
-    const bot = new TelegramBot(token, { polling: true });
-    const anthropic = new Anthropic({ apiKey: anthropicApiKey });
+    // Updates start flowing in startTransport(), once all handlers are registered.
+    const bot = injectedBot || new TelegramBot(token, { polling: false });
+    // A custom base URL points the agent at a proxy or a local mock of the Messages API.
+    const ANTHROPIC_BASE_URL = (anthropicBaseUrl || cfg.anthropicBaseUrl || "").toString().trim();
+    const anthropic = new Anthropic({ apiKey: anthropicApiKey, ...(ANTHROPIC_BASE_URL ? { baseURL: ANTHROPIC_BASE_URL } : {}) });
+
+    // Secrets are masked in every tool result and outgoing message (config.redaction, redact.js).
+    const redactor = createRedactor(REDACTION);
+    const redactOutgoing = (text) => {
+        const { text: out, count } = redactor.redact(text);
+        if (count) console.log(`[redact] masked ${count} secret(s) in an outgoing message`);
+        return out;
+    };
+
+    const { safeSendMessage, safeEditMessage, safeSendPhoto, safeSendDocument, safeSendAudio, sendLongMessage } = createTelegramHelpers(bot, {
+        html: REPLY_FORMAT === "html",
+        attachChars: LONG_MESSAGE_ATTACH_CHARS,
+        tmpDir: TMP_DIR,
+        redact: redactOutgoing
+    });
+    // Tool context: the tools send screenshots etc. through the transport of the run (see transport.js).
+    const ctxForChat = (chatId, extra = {}, transport = null) => {
+        const t = transport || { safeSendMessage, safeSendPhoto, safeSendDocument, safeSendAudio, sendLongMessage };
+        return {
+            chatId,
+            safeSendMessage: t.safeSendMessage,
+            safeSendPhoto: t.safeSendPhoto,
+            safeSendDocument: t.safeSendDocument,
+            safeSendAudio: t.safeSendAudio,
+            sendLongMessage: t.sendLongMessage,
+            ...extra
+        };
+    };
+
+    const runs = createRunRegistry();
+    const audit = createAuditLog({ DATA_DIR, maxBytes: AUDIT_MAX_BYTES, maxFiles: AUDIT_MAX_FILES, redactor });
+    const usage = createUsageTracker({ DATA_DIR, prices: MODEL_PRICES, budgets: BUDGETS });
+
+    // Decide how a new run may proceed under the configured budgets:
+    // { model } normally, { model, notice } when downgraded, { refused } when over budget.
+    function budgetGate(userId, chatId) {
+        const hit = usage.checkBudget(userId);
+        if (!hit) return { model: chatId != null ? modelForChat(chatId) : CLAUDE_MODEL };
+        if (BUDGETS.onExceeded === "downgrade" && BUDGETS.downgradeModel) {
+            return { model: BUDGETS.downgradeModel, notice: `${formatBudgetExceeded(hit)} Using ${BUDGETS.downgradeModel} instead.` };
+        }
+        return { refused: `${formatBudgetExceeded(hit)} New requests are refused until it resets.` };
+    }
+    const queue = createChatQueue();
+    const limiter = createRateLimiter(RATE_LIMITS);
+    const chatSettings = createChatSettings({ DATA_DIR, defaults: { queueMode: QUEUE_MODE, model: null, stepMode: false } });
+    const scheduler = createScheduler({
+        DATA_DIR,
+        catchUp: SCHEDULE_CATCH_UP,
+        maxCatchUpRuns: SCHEDULE_MAX_CATCH_UP_RUNS,
+        onRun: runScheduled
+    });
 
-    const { safeSendMessage, safeSendPhoto, safeSendDocument, sendLongMessage } = createTelegramHelpers(bot);
-    const ctxForChat = (chatId) => ({ chatId, safeSendMessage, safeSendPhoto, safeSendDocument, sendLongMessage });
+    // The chat's /model choice, if it is still in the configured list; otherwise the default.
+    function modelForChat(chatId) {
+        const chosen = chatSettings.get(chatId).model;
+        return chosen && CLAUDE_MODELS.includes(chosen) ? chosen : CLAUDE_MODEL;
+    }
+
+    // Overloaded (529) and server-side (5xx) errors are worth retrying on another model;
+    // anything else (bad request, auth, rate limit) would fail the same way there.
+    function isRetryableModelError(e) {
+        const status = Number(e?.status);
+        return status === 529 || (status >= 500 && status < 600) || e?.error?.error?.type === "overloaded_error";
+    }
+
+    const approvals = createApprovalGate({
+        bot,
+        safeSendMessage,
+        safeEditMessage,
+        canApprove: (userId, toolName, chatId) => access.canUseTool(userId, toolName, chatId),
+        toolApproval: TOOL_APPROVAL,
+        timeoutSeconds: APPROVAL_TIMEOUT_SECONDS
+    });
+
+    // Interactive step mode (/step on): Next / Skip / Stop before every tool call.
+    const stepper = createStepGate({
+        bot,
+        safeSendMessage,
+        safeEditMessage,
+        canDecide: (userId, toolName, chatId) => access.canUseTool(userId, toolName, chatId),
+        timeoutSeconds: APPROVAL_TIMEOUT_SECONDS
+    });
+
+    const telegramTransport = createTelegramTransport({
+        safeSendMessage,
+        safeEditMessage,
+        safeSendPhoto,
+        safeSendDocument,
+        safeSendAudio,
+        sendLongMessage,
+        approvals,
+        stepper
+    });
 
     installProcessGuards();
 
+    // Security reports go to every admin's private chat (private chat ID == user ID).
+    // The same event key is reported at most once per window so a persistent sender can't flood admins.
+    const ADMIN_REPORT_WINDOW_MS = 10 * 60 * 1000;
+    const lastAdminReport = new Map(); // key -> timestamp
+    async function reportToAdmins(key, text) {
+        const now = Date.now();
+        if (now - (lastAdminReport.get(key) || 0) < ADMIN_REPORT_WINDOW_MS) return;
+        lastAdminReport.set(key, now);
+        for (const adminId of access.adminUserIds()) {
+            await safeSendMessage(adminId, `[security] ${text}`);
+        }
+    }
+
+    function describeSender(from) {
+        const username = from?.username ? `@${from.username}` : "(no username)";
+        const name = [from?.first_name, from?.last_name].filter(Boolean).join(" ") || "(no name)";
+        return { username, name };
+    }
+
+    // Webhook mode: receive updates on our own listener (webhook.js). If the webhook cannot be
+    // registered, fall back to polling; the listener stays up so recorded updates can still be
+    // POSTed to it locally.
+    async function startTransport() {
+        if (TRANSPORT === "webhook") {
+            let server = null;
+            try {
+                server = createWebhookServer({
+                    path: WEBHOOK.path || "/telegram/webhook",
+                    host: WEBHOOK.host || "0.0.0.0",
+                    port: Math.floor(Number(WEBHOOK.port)) || 8443,
+                    secretToken: (process.env.TELEGRAM_WEBHOOK_SECRET || WEBHOOK.secretToken || "").toString(),
+                    tlsKeyPath: (WEBHOOK.tlsKeyPath || "").toString().trim(),
+                    tlsCertPath: (WEBHOOK.tlsCertPath || "").toString().trim(),
+                    onUpdate: (update) => bot.processUpdate(update)
+                });
+                const addr = await server.start();
+                console.log(`[webhook] listening on ${server.isTls ? "https" : "http"}://${addr.address}:${addr.port}${WEBHOOK.path}`);
+            } catch (e) {
+                console.warn("[webhook] could not start the listener:", sanitizeError(e));
+                server = null;
+            }
+
+            const publicUrl = (WEBHOOK.publicUrl || "").toString().trim().replace(/\/+$/, "");
+            if (server && publicUrl) {
+                try {
+                    const certPath = (WEBHOOK.tlsCertPath || "").toString().trim();
+                    await bot.setWebHook(`${publicUrl}${WEBHOOK.path}`, {
+                        secret_token: server.secretToken,
+                        ...(WEBHOOK.uploadCertificate && certPath ? { certificate: certPath } : {})
+                    });
+                    console.log(`[webhook] registered ${publicUrl}${WEBHOOK.path}`);
+                    return;
+                } catch (e) {
+                    console.warn("[webhook] setWebHook failed, falling back to polling:", sanitizeError(e));
+                }
+            } else if (server) {
+                console.warn("[webhook] webhook.publicUrl is not set, falling back to polling.");
+            }
+        }
+
+        // getUpdates is refused (409 Conflict) while a webhook is registered.
+        try {
+            await bot.deleteWebHook();
+        } catch (e) {
+            console.warn("[polling] could not delete the webhook:", sanitizeError(e));
+        }
+        await bot.startPolling();
+    }
+
     bot.on("polling_error", (err) => {
         // Network issues are expected; log and keep running.
         console.warn("[polling_error]", sanitizeError(err));
@@ -138,17 +394,38 @@ function startTelegramBot() {
         cleanupOldFilesInDataDir().catch((e) => console.warn("[data_cleanup_error]", sanitizeError(e)));
     }, DATA_CLEANUP_INTERVAL_MINUTES * 60 * 1000);
 
-    // Simple in-memory per-chat history so Claude can resolve references like
-    // "this file", "that folder", "in current dir", etc.
-    // NOTE: This resets when the bot restarts.
-    const chatHistory = new Map(); // chatId -> Array<{role, content}>
-    const MAX_HISTORY_MESSAGES = 40;
-    const lastAttachment = new Map(); // chatId -> { imagePath?: string, audioPath?: string }
-
-    function trimHistory(messages) {
-        if (!Array.isArray(messages)) return [];
-        if (messages.length <= MAX_HISTORY_MESSAGES) return messages;
-        return messages.slice(messages.length - MAX_HISTORY_MESSAGES);
+    // Per-chat history so Claude can resolve references like "this file", "that folder",
+    // "in current dir", etc. Persisted under DATA_DIR/state/history so it survives restarts.
+    const history = createHistoryStore({ DATA_DIR });
+    const HISTORY_VIEW_LIMIT = 50;
+
+    // Keep the conversation under the token budget before a run (see compaction.js): old tool
+    // outputs are elided first, then older turns are folded into a pinned summary by Claude.
+    async function compactForRun(chatId, messages, { userId = null, signal, progress } = {}) {
+        let step = null;
+        const result = await compactHistory(messages, {
+            budgetTokens: Math.max(2000, Number(HISTORY_COMPACTION.budgetTokens) || 60000),
+            targetTokens: Math.max(1000, Number(HISTORY_COMPACTION.targetTokens) || 30000),
+            keepRecentTurns: Math.max(1, Math.floor(Number(HISTORY_COMPACTION.keepRecentTurns)) || 4),
+            toolResultMaxChars: Math.max(200, Math.floor(Number(HISTORY_COMPACTION.toolResultMaxChars)) || 2000),
+            signal,
+            summarize: async (prompt) => {
+                step = progress?.step("compact history");
+                const model = (HISTORY_COMPACTION.summaryModel || "").toString().trim() || modelForChat(chatId);
+                const res = await anthropic.messages.create({
+                    model,
+                    max_tokens: 1024,
+                    messages: [{ role: "user", content: prompt }]
+                }, signal ? { signal } : undefined);
+                usage.record({ model, userId, chatId, usage: res?.usage });
+                return (res?.content || []).filter((b) => b.type === "text").map((b) => b.text).join("\n");
+            }
+        });
+        step?.done({ success: result.summarized });
+        if (result.elided || result.summarized || result.dropped) {
+            console.log(`[history_compaction] chatId=${chatId} elided=${result.elided} summarized=${result.summarized} dropped=${result.dropped}`);
+        }
+        return result.messages;
     }
 
     async function downloadTelegramFile(fileId, subdir) {
@@ -158,27 +435,76 @@ function startTelegramBot() {
         return await bot.downloadFile(fileId, dir);
     }
 
-    const openai = createOpenAI({ TMP_DIR, OPENAI_VISION_MODEL, OPENAI_TRANSCRIBE_MODEL });
+    const openai = createOpenAI({ TMP_DIR, OPENAI_VISION_MODEL, OPENAI_TRANSCRIBE_MODEL, stt: STT });
+    const vision = createVision({
+        TMP_DIR,
+        resolveFfmpegPath: openai.resolveFfmpegPath,
+        maxDimension: cfg.visionMaxDimension,
+        maxBytes: cfg.visionMaxBytes
+    });
+    const uploads = createUploadStore({ DATA_DIR, maxBytes: UPLOAD_MAX_BYTES, allowedExtensions: UPLOAD_ALLOWED_EXTENSIONS });
     const browser = createBrowser({ DATA_DIR });
+    const jobs = createJobManager({ DATA_DIR, maxRunning: MAX_BACKGROUND_JOBS, maxRuntimeMs: JOB_MAX_RUNTIME_MINUTES * 60 * 1000 });
     const toolApi = createTools({
         DATA_DIR,
         TMP_DIR,
+        jobs,
+        sendFileRoots: Array.isArray(cfg.sendFileRoots) ? cfg.sendFileRoots : [],
+        uploadsDirFor: (chatId) => uploads.dirFor(chatId),
         browseWebsite: (input, ctx) => browser.browseWebsite(input, ctx),
         resolveFfmpegPath: openai.resolveFfmpegPath,
         isFfmpegAvailable: openai.isFfmpegAvailable
     });
 
     async function processWithClaude(messages, chatId, options = {}) {
+        // The run (see runs.js) carries the AbortController used by /cancel.
+        const run = options.run || null;
+        const signal = run?.signal;
+        const setActivity = (text) => { if (run) run.activity = text; };
+        // Live status message for this run (see progress.js); optional.
+        const progress = options.progress || null;
+        // Where messages, artifacts and approval prompts go (Telegram or the local API).
+        const transport = options.transport || telegramTransport;
+        const convo = Array.isArray(messages) ? [...messages] : [];
+
         try {
             const {
                 allowTools = true,
                 deepThinking = DEEP_THINKING,
                 thinkingBudgetTokens = THINKING_BUDGET_TOKENS,
-                stepConfirm = STEP_CONFIRM
+                stepConfirm = STEP_CONFIRM,
+                stepMode = chatSettings.get(chatId).stepMode === true,
+                userId = null,
+                model = modelForChat(chatId)
             } = options;
 
+            // Walk the fallback chain on overload/5xx. Once a fallback answers, the rest of
+            // this run stays on it rather than hitting the overloaded model again.
+            const modelChain = [model, ...CLAUDE_FALLBACK_MODELS.filter((m) => m !== model)];
+            let activeModel = model;
+            const createMessage = async (params) => {
+                let lastError;
+                for (let i = modelChain.indexOf(activeModel); i < modelChain.length; i++) {
+                    const candidate = modelChain[i];
+                    try {
+                        const res = await anthropic.messages.create({ ...params, model: candidate }, signal ? { signal } : undefined);
+                        usage.record({ model: candidate, userId, chatId, usage: res?.usage });
+                        if (candidate !== activeModel) {
+                            activeModel = candidate;
+                            await transport.safeSendMessage(chatId, `${modelChain[0]} is unavailable right now; continuing with ${candidate}.`);
+                        }
+                        return res;
+                    } catch (e) {
+                        if (signal?.aborted || !isRetryableModelError(e)) throw e;
+                        console.warn(`[model_fallback] ${candidate} failed with ${e?.status || "error"}: ${sanitizeError(e)}`);
+                        lastError = e;
+                    }
+                }
+                throw lastError;
+            };
+
             const system = `
-You are controlling a Windows machine through tools: execute_command, take_screenshot, capture_webcam_photo, browse_website, run_healer.
+You are controlling a Windows machine through tools: execute_command, check_job, send_file, take_screenshot, capture_webcam_photo, browse_website, run_healer.
 
 Hard requirements:
 - Always use execute_command to perform actions and verify results.
@@ -187,6 +513,8 @@ Hard requirements:
 - Do NOT open GUI apps (notepad, explorer, etc.) unless the user explicitly asks.
 - Prefer a single cmd command when possible. Use PowerShell only when you need multiline scripting/cmdlets/complex quoting.
 - When you need a multiline script, pass it via the tool's "script" field (preferred).
+- For builds, backups, downloads or anything that may run longer than a minute, call execute_command with background=true, tell the user the job ID and do not wait for it; use check_job when asked about it.
+- When the user asks for a file or folder, or the result of the task is a file (report, archive, export), deliver it with send_file instead of pasting its contents. If send_file refuses a path as outside the allowed roots, tell the user; do not copy the file elsewhere to get around it.
 - If the user asks for a screenshot or wants to "see the screen", use take_screenshot.
 - If the user asks for a webcam/camera photo, use capture_webcam_photo.
 - If the user asks to browse a website, open a link, scrape a page, or screenshot a page, use browse_website.
@@ -198,6 +526,8 @@ Hard requirements:
 - Default working directory is the bot's data folder: ${DATA_DIR}
 - If you create files without an explicit absolute path, create them in the data folder.
 - Default file for bot notes and saved text: ${NOTES_PATH}. When the user asks to save a note, remember something, or store text for later, write to this file (append or overwrite as appropriate). Prefer this path for any persistent notes the user might refer to later.
+- Secrets in tool output are masked as <redacted> or <ENV_VAR_NAME> (see "redactions" in the tool_result). Do not try to reveal masked values another way.
+- Some tool calls may need the user's approval first. If a tool_result says it was denied or timed out, do not repeat the same call; explain what you wanted to do or propose a safer alternative.
 - Track context: if the user says "this file" / "that file" / "current dir", infer the path from recent messages and tool outputs.
   If ambiguous, pick the most recently mentioned file/path and verify with a quick directory listing.
 
@@ -205,35 +535,44 @@ Step mode:
 - When step-by-step mode is enabled, do at most ONE tool call per model turn (internal control).
 - Do NOT ask the user "continue or stop" — decide internally whether to proceed with another step.
 - Prefer to output at most ONE tool_use per assistant message.
-`.trim();
-
-            const convo = Array.isArray(messages) ? [...messages] : [];
+${stepMode ? `
+Interactive step mode is ON in this chat: the user sees every tool call before it runs and answers Next, Skip or Stop.
+- In your first reply, give a short numbered plan. Update it in a line or two when it changes.
+- Before each tool call, say in one or two sentences what the call does and why; the user sees this text next to the call.
+- If a tool_result says the call was skipped, do not retry it unchanged; continue with the rest of the plan or ask the user.
+` : ""}`.trim();
 
             // Some Claude models support extended thinking via `thinking`.
             // If the API/model rejects it, we retry without thinking.
             const createParamsBase = {
                 system,
-                model: "claude-sonnet-4-5-20250929",
-                max_tokens: 4096,
-                tools: allowTools ? toolApi.tools : [],
+                model,
+                max_tokens: CLAUDE_MAX_TOKENS,
+                ...(CLAUDE_TEMPERATURE != null ? { temperature: CLAUDE_TEMPERATURE } : {}),
+                // Only offer tools the requesting user's role may use; dispatch below enforces it again.
+                tools: allowTools ? toolApi.tools.filter((t) => access.canUseTool(userId, t.name, chatId)) : [],
                 messages: convo
             };
 
+            // Extended thinking does not accept a custom temperature, so drop it there.
+            const withThinking = ({ temperature: _temperature, ...params }) => ({
+                ...params,
+                thinking: { type: "enabled", budget_tokens: Math.max(1024, Math.min(32000, Math.floor(thinkingBudgetTokens))) }
+            });
+
             const createWithMaybeThinking = async () => {
-                if (!deepThinking) return await anthropic.messages.create(createParamsBase);
-                return await anthropic.messages.create({
-                    ...createParamsBase,
-                    thinking: { type: "enabled", budget_tokens: Math.max(1024, Math.min(32000, Math.floor(thinkingBudgetTokens))) }
-                });
+                if (!deepThinking) return await createMessage(createParamsBase);
+                return await createMessage(withThinking(createParamsBase));
             };
 
             let response;
+            setActivity("waiting for Claude");
             try {
                 response = await createWithMaybeThinking();
             } catch (e) {
-                if (deepThinking) {
+                if (deepThinking && !signal?.aborted && !isRetryableModelError(e)) {
                     // Fallback for models/accounts that don't support `thinking`.
-                    response = await anthropic.messages.create(createParamsBase);
+                    response = await createMessage(createParamsBase);
                 } else {
                     throw e;
                 }
@@ -243,6 +582,8 @@ Step mode:
             // Prevent duplicate browser actions (common when the model loops internally).
             // We only de-dupe high-impact actions like opening Chrome/URLs and browse_website.
             const executedBrowserActions = new Set(); // fingerprint -> true
+            let stepNumber = 0;
+            let stoppedAtStep = null;
 
             while (response.stop_reason === "tool_use") {
                 iterations += 1;
@@ -256,10 +597,30 @@ Step mode:
                 const toolUses = (response.content || []).filter(block => block.type === "tool_use");
                 if (!toolUses.length) break;
 
+                // In interactive step mode, the text next to the tool calls is the agent's "why".
+                const stepReason = (response.content || []).filter((b) => b.type === "text").map((b) => b.text).join("\n").trim();
                 const toolResultsBlocks = [];
                 let executedThisResponse = 0;
                 let stopAfterBrowseSuccess = false;
                 for (const toolUse of toolUses) {
+                    if (signal?.aborted) {
+                        // Every tool_use still needs a tool_result, even after /cancel.
+                        toolResultsBlocks.push({
+                            type: "tool_result",
+                            tool_use_id: toolUse.id,
+                            content: JSON.stringify({ success: false, cancelled: true, error: "Cancelled by user before this call ran." })
+                        });
+                        continue;
+                    }
+                    if (stoppedAtStep) {
+                        toolResultsBlocks.push({
+                            type: "tool_result",
+                            tool_use_id: toolUse.id,
+                            content: JSON.stringify({ success: false, stopped: true, error: "The user stopped the run before this call ran." })
+                        });
+                        continue;
+                    }
+
                     // Step-by-step mode: execute at most one real tool call per assistant response.
                     const shouldExecute = !(stepConfirm && executedThisResponse >= 1);
 
@@ -290,39 +651,111 @@ Step mode:
 
                     let toolResult;
                     const fp = fingerprintBrowserAction();
+                    const isDuplicate = Boolean(fp && executedBrowserActions.has(fp));
+
+                    // Command policy first (config.commandPolicy), then the approval gate for risky tools
+                    // (config.toolApproval or a require_approval rule). Deferred (step mode), de-duplicated
+                    // and policy-denied calls never reach the prompt. In interactive step mode the
+                    // Next / Skip / Stop prompt replaces the approval prompt: Next counts as approval.
+                    let toolInput = toolUse.input || {};
+                    let approval = null;
+                    let stepDecision = null;
+                    const roleAllows = access.canUseTool(userId, toolUse.name, chatId);
+                    const policy = toolApi.checkPolicy(toolUse.name, toolInput, { userId });
+                    const needsApproval = approvals.isRequired(toolUse.name) || policy.action === "require_approval";
+                    const policyNote = policy.action === "require_approval" && policy.rule
+                        ? `Policy rule "${policy.rule.id}"${policy.reason ? `: ${policy.reason}` : ""}`
+                        : "";
+                    if (stepMode && shouldExecute && !isDuplicate && roleAllows && policy.action !== "deny") {
+                        stepNumber += 1;
+                        stepDecision = await transport.requestStep(chatId, toolUse.name, toolInput, {
+                            index: stepNumber,
+                            // Only the first call of a response carries the explanation.
+                            reason: executedThisResponse === 0 ? stepReason : "",
+                            note: policyNote,
+                            signal
+                        });
+                        if (stepDecision.action === "next") {
+                            approval = { approved: true, status: "approved", input: toolInput, edited: false };
+                        } else if (stepDecision.action !== "skip") {
+                            stoppedAtStep = stepNumber;
+                        }
+                    }
+                    // Skipped or stopped in step mode: not run, so no progress line, audit entry or tool count.
+                    const heldByUser = Boolean(stepDecision && stepDecision.action !== "next");
+                    const step = shouldExecute && !heldByUser ? progress?.step(toolUse.name, toolInput) : null;
+                    if (!stepDecision && shouldExecute && !isDuplicate && roleAllows && policy.action !== "deny" && needsApproval) {
+                        approval = await transport.requestApproval(chatId, toolUse.name, toolInput, { note: policyNote, signal });
+                        if (approval.approved) toolInput = approval.input;
+                    }
+                    const toolCtx = ctxForChat(chatId, { userId, approved: approval?.approved === true, signal }, transport);
+                    const inputSummary = summarizeToolInput(toolUse.name, toolInput);
+                    setActivity(`${toolUse.name}${inputSummary ? `: ${inputSummary}` : ""}`);
+                    const toolStartedAt = Date.now();
+
                     if (!shouldExecute) {
                         toolResult = {
                             success: false,
                             deferred: true,
                             error: "Deferred by step-by-step mode. The agent should continue in a follow-up step.",
                         };
-                    } else if (fp && executedBrowserActions.has(fp)) {
+                    } else if (stepDecision?.action === "skip") {
+                        toolResult = {
+                            success: false,
+                            skipped: true,
+                            error: `The user skipped this ${toolUse.name} call in step mode; it was not executed. Do not retry it unchanged.`
+                        };
+                        executedThisResponse += 1;
+                    } else if (heldByUser) {
+                        toolResult = {
+                            success: false,
+                            stopped: true,
+                            error: stepDecision.action === "timeout"
+                                ? `No answer to the step prompt within ${APPROVAL_TIMEOUT_SECONDS}s; the run was stopped.`
+                                : "The user stopped the run at this step."
+                        };
+                    } else if (isDuplicate) {
                         toolResult = {
                             success: true,
                             deduped: true,
                             note: "Skipped duplicate browser action (already executed in this request).",
                             fingerprint: fp
                         };
+                    } else if (!roleAllows) {
+                        const roleName = access.roleFor(userId, chatId)?.name || "none";
+                        toolResult = {
+                            success: false,
+                            forbidden: true,
+                            error: `The requesting user's role (${roleName}) is not allowed to use ${toolUse.name}. Do not retry it; explain the limitation instead.`
+                        };
+                        executedThisResponse += 1;
+                        reportToAdmins(`tool:${userId}:${toolUse.name}`, `User ${userId} (role ${roleName}) triggered a forbidden ${toolUse.name} call in chat ${chatId}.`)
+                            .catch(() => {});
+                    } else if (policy.action === "deny") {
+                        toolResult = policyBlockedResult(policy);
+                        executedThisResponse += 1;
+                    } else if (approval && !approval.approved) {
+                        toolResult = {
+                            success: false,
+                            denied: true,
+                            approval: approval.status,
+                            error: approval.status === "timeout"
+                                ? `No approval received within ${APPROVAL_TIMEOUT_SECONDS}s; the ${toolUse.name} call was not executed.`
+                                : `The user did not approve this ${toolUse.name} call; it was not executed. Do not retry it unchanged.`
+                        };
+                        executedThisResponse += 1;
                     } else if (toolUse.name === "execute_command") {
-                        const preview =
-                            toolUse.input?.script
-                                ? `[script:${toolUse.input.shell || "auto"}] ${(toolUse.input.file_path || "").toString()}`
-                                : (toolUse.input?.command || "").toString();
-                        await safeSendMessage(chatId, `Executing: ${preview || "(empty)"}`);
-                        toolResult = await toolApi.runTool("execute_command", toolUse.input || {}, ctxForChat(chatId));
+                        toolResult = await toolApi.runTool("execute_command", toolInput, toolCtx);
                         if (fp && toolResult && toolResult.success) executedBrowserActions.add(fp);
                         executedThisResponse += 1;
                     } else if (toolUse.name === "take_screenshot") {
-                        await safeSendMessage(chatId, "Taking screenshot...");
-                        toolResult = await toolApi.runTool("take_screenshot", toolUse.input || {}, ctxForChat(chatId));
+                        toolResult = await toolApi.runTool("take_screenshot", toolInput, toolCtx);
                         executedThisResponse += 1;
                     } else if (toolUse.name === "capture_webcam_photo") {
-                        await safeSendMessage(chatId, "Capturing webcam photo...");
-                        toolResult = await toolApi.runTool("capture_webcam_photo", toolUse.input || {}, ctxForChat(chatId));
+                        toolResult = await toolApi.runTool("capture_webcam_photo", toolInput, toolCtx);
                         executedThisResponse += 1;
                     } else if (toolUse.name === "browse_website") {
-                        await safeSendMessage(chatId, `Browsing: ${(toolUse.input?.url || "").toString()}`);
-                        toolResult = await toolApi.runTool("browse_website", toolUse.input || {}, ctxForChat(chatId));
+                        toolResult = await toolApi.runTool("browse_website", toolInput, toolCtx);
                         if (fp && toolResult && toolResult.success) executedBrowserActions.add(fp);
                         executedThisResponse += 1;
                         if (STOP_AFTER_SUCCESSFUL_BROWSE && toolResult && toolResult.success) {
@@ -331,8 +764,13 @@ Step mode:
                             stopAfterBrowseSuccess = true;
                         }
                     } else if (toolUse.name === "run_healer") {
-                        await safeSendMessage(chatId, "Running healer (installing dependencies, updating paths — may take 2–5 min)...");
-                        toolResult = await toolApi.runTool("run_healer", toolUse.input || {}, ctxForChat(chatId));
+                        toolResult = await toolApi.runTool("run_healer", toolInput, toolCtx);
+                        executedThisResponse += 1;
+                    } else if (toolUse.name === "send_file") {
+                        toolResult = await toolApi.runTool("send_file", toolInput, toolCtx);
+                        executedThisResponse += 1;
+                    } else if (toolUse.name === "check_job") {
+                        toolResult = await toolApi.runTool("check_job", toolInput, toolCtx);
                         executedThisResponse += 1;
                     } else {
                         toolResult = {
@@ -341,16 +779,56 @@ Step mode:
                         };
                     }
 
+                    // Mask secrets (env keys, key formats, config.redaction patterns) before the result
+                    // reaches Claude, the chat, the history or the audit log.
+                    const redaction = redactor.redactDeep(toolResult);
+                    if (redaction.count) {
+                        console.log(`[redact] masked ${redaction.count} secret(s) in ${toolUse.name} output`);
+                        toolResult = { ...redaction.value, redactions: redaction.count };
+                    }
+                    if (approval?.approved && approval.edited && toolResult && typeof toolResult === "object") {
+                        // Tell Claude what actually ran, since the user changed the call before approving it.
+                        toolResult = { ...toolResult, edited_by_user: true, executed_input: redactor.maskDeep(toolInput) };
+                    }
+                    step?.done(toolResult);
+                    // Tools that call an LLM themselves (browse_website) report what they spent.
+                    if (toolResult?.usage) usage.record({ model: toolResult.model, userId, chatId, usage: toolResult.usage });
+                    if (shouldExecute && !heldByUser) {
+                        audit.record({
+                            userId,
+                            chatId,
+                            tool: toolUse.name,
+                            input: toolInput,
+                            result: toolResult,
+                            durationMs: Date.now() - toolStartedAt
+                        });
+                    }
+
                     toolResultsBlocks.push({
                         type: "tool_result",
                         tool_use_id: toolUse.id,
                         content: JSON.stringify(toolResult)
                     });
+                    if (shouldExecute && !heldByUser) {
+                        if (run) run.toolCalls += 1;
+                        limiter.recordToolCall(userId, parseChatKey(chatId).chatId);
+                    }
                 }
 
                 convo.push({ role: "assistant", content: response.content });
                 convo.push({ role: "user", content: toolResultsBlocks });
 
+                if (signal?.aborted) throw signal.reason || new Error("Cancelled by user");
+
+                if (stoppedAtStep) {
+                    // Close the turn without another model call; the user can continue with a new message.
+                    convo.push({ role: "assistant", content: `(Stopped by the user at step ${stoppedAtStep}.)` });
+                    return {
+                        replyText: `Stopped at step ${stoppedAtStep}. Send a message to continue or change the plan.`,
+                        updatedMessages: convo
+                    };
+                }
+
                 if (stopAfterBrowseSuccess) {
                     return {
                         replyText: "Browser task completed.",
@@ -359,15 +837,13 @@ Step mode:
                 }
 
                 const nextParams = { ...createParamsBase, messages: convo };
+                setActivity(`waiting for Claude (after ${iterations} tool round(s))`);
                 try {
-                    response = await (deepThinking
-                        ? anthropic.messages.create({
-                            ...nextParams,
-                            thinking: { type: "enabled", budget_tokens: Math.max(1024, Math.min(32000, Math.floor(thinkingBudgetTokens))) }
-                        })
-                        : anthropic.messages.create(nextParams));
-                } catch (_) {
-                    response = await anthropic.messages.create(nextParams);
+                    response = await (deepThinking ? createMessage(withThinking(nextParams)) : createMessage(nextParams));
+                } catch (e) {
+                    // Overload/5xx already went through the whole fallback chain in createMessage.
+                    if (signal?.aborted || isRetryableModelError(e)) throw e;
+                    response = await createMessage(nextParams);
                 }
             }
 
@@ -396,6 +872,14 @@ Step mode:
                 updatedMessages: convo
             };
         } catch (error) {
+            if (signal?.aborted) {
+                // Close the turn so the saved history stays a valid user/assistant alternation.
+                return {
+                    replyText: null,
+                    cancelled: true,
+                    updatedMessages: [...convo, { role: "assistant", content: "(Run cancelled by the user.)" }]
+                };
+            }
             console.error("Claude API Error:", error);
             return {
                 replyText: `Error: ${error.message}`,
@@ -404,28 +888,112 @@ Step mode:
         }
     }
 
-    async function handleUserText(chatId, text) {
-        // New request.
-        const prior = chatHistory.get(chatId) || [];
-        const next = [...prior, { role: "user", content: text }];
-        const { replyText, updatedMessages } = await processWithClaude(trimHistory(next), chatId, {
-            allowTools: true,
-            deepThinking: DEEP_THINKING,
-            thinkingBudgetTokens: THINKING_BUDGET_TOKENS,
-            stepConfirm: STEP_CONFIRM
-        });
-        chatHistory.set(chatId, trimHistory(updatedMessages));
-        await sendLongMessage(chatId, replyText);
+    // `run` is passed by the photo/voice handlers, which start the run before downloading so
+    // /cancel also covers transcription; plain text requests get their own run here.
+    // Likewise `progress` (the run's single status message) is created by the caller when it
+    // has steps of its own to show, e.g. downloading and transcribing a voice note.
+    // `images` are the images of this turn, ahead of the text: { path, block } with the block from
+    // vision.prepareImage. History stores only the path; blocks are rebuilt for each request.
+    // Resolves to { outcome: "done" | "failed" | "cancelled", replyText }.
+    async function handleUserText(chatId, text, { userId = null, run = null, progress = null, images = [], transport = telegramTransport } = {}) {
+        const gate = budgetGate(userId, chatId);
+        if (gate.refused) {
+            await transport.safeSendMessage(chatId, gate.refused);
+            if (progress) await progress.finish("failed");
+            return { outcome: "failed", replyText: gate.refused };
+        }
+        if (gate.notice) await transport.safeSendMessage(chatId, gate.notice);
+        const ownRun = run ? null : runs.start(chatId, text);
+        const activeRun = run || ownRun;
+        const status = progress || transport.createProgress({ chatId, title: text });
+        if (!progress) await status.start();
+        let outcome = "failed";
+        let reply = null;
+        try {
+            const prior = history.getMessages(chatId);
+            const turn = images.length
+                ? { role: "user", content: [...images.map((image) => imageRef(image.path)), { type: "text", text }] }
+                : { role: "user", content: text };
+            let next;
+            try {
+                const compacted = await compactForRun(chatId, pruneHistoryImages([...prior, turn], VISION_HISTORY_IMAGES), {
+                    userId,
+                    signal: activeRun.signal,
+                    progress: status
+                });
+                next = await vision.expandImages(compacted, {
+                    prepared: new Map(images.map((image) => [image.path, image.block])),
+                    signal: activeRun.signal
+                });
+            } catch (e) {
+                // Only a /cancel during summarization or image preparation gets here; the status message reports it.
+                if (activeRun.signal.aborted) return { outcome: "cancelled", replyText: null };
+                throw e;
+            }
+            const { replyText, updatedMessages, cancelled } = await processWithClaude(next.messages, chatId, {
+                allowTools: true,
+                deepThinking: DEEP_THINKING,
+                thinkingBudgetTokens: THINKING_BUDGET_TOKENS,
+                stepConfirm: STEP_CONFIRM,
+                userId,
+                model: gate.model,
+                run: activeRun,
+                progress: status,
+                transport
+            });
+            outcome = cancelled ? "cancelled" : (/^Error: /.test(replyText || "") ? "failed" : "done");
+            reply = replyText;
+            await history.setMessages(chatId, startAtTurnBoundary(next.collapse(updatedMessages)));
+            // On /cancel the cancel command itself reports what was interrupted.
+            if (!cancelled) await transport.sendLongMessage(chatId, replyText, { format: "markdown" });
+        } finally {
+            if (activeRun.signal.aborted) outcome = "cancelled";
+            await status.finish(outcome);
+            if (ownRun) runs.finish(ownRun);
+        }
+        return { outcome, replyText: reply };
     }
 
-    async function handlePhotoMessage(chatId, caption, fileId) {
+    async function handlePhotoMessage(chatId, caption, fileId, userId = null) {
+        const gate = budgetGate(userId);
+        if (gate.refused) {
+            await safeSendMessage(chatId, gate.refused);
+            return;
+        }
+        const run = runs.start(chatId, caption || "(photo)");
+        run.activity = "downloading/analyzing image";
+        const progress = createProgressMessage({ chatId, safeSendMessage, safeEditMessage, title: caption || "(photo)" });
+        let handedOff = false;
         try {
-            await safeSendMessage(chatId, "Downloading image...");
+            await progress.start();
+            const download = progress.step("download image");
             const imagePath = await downloadTelegramFile(fileId, "images");
-            lastAttachment.set(chatId, { ...(lastAttachment.get(chatId) || {}), imagePath });
+            download.done({ success: true });
+            await history.setAttachment(chatId, { imagePath });
+
+            if (VISION_PROVIDER === "claude") {
+                const prepare = progress.step("prepare image");
+                const image = await vision.prepareImage(imagePath, { signal: run.signal });
+                prepare.done(image);
+                if (image.cancelled || run.signal.aborted) return;
+                if (!image.success) {
+                    await sendLongMessage(chatId, `Image unavailable: ${image.error}`);
+                    return;
+                }
+                const text = [
+                    caption ? `User message: ${caption}` : "The user sent this image without a message.",
+                    `Image saved locally at: ${imagePath}`
+                ].join("\n\n");
+                handedOff = true;
+                await handleUserText(chatId, text, { userId, run, progress, images: [{ path: imagePath, block: image.block }] });
+                return;
+            }
 
-            await safeSendMessage(chatId, "Analyzing image...");
-            const analysis = await openai.analyzeImageWithOpenAI(imagePath, caption || "");
+            const analyze = progress.step("analyze image");
+            const analysis = await openai.analyzeImageWithOpenAI(imagePath, caption || "", { signal: run.signal });
+            analyze.done(analysis);
+            if (analysis.usage) usage.record({ model: analysis.model, userId, chatId, usage: analysis.usage });
+            if (run.signal.aborted) return;
             if (!analysis.success) {
                 await sendLongMessage(chatId, `Image analysis unavailable: ${analysis.error}`);
                 return;
@@ -437,22 +1005,43 @@ Step mode:
                 `Image analysis (OCR + description):\n${analysis.output || "(empty)"}`
             ].filter(Boolean).join("\n\n");
 
-            await handleUserText(chatId, combined);
+            handedOff = true;
+            await handleUserText(chatId, combined, { userId, run, progress });
         } catch (e) {
+            if (run.signal.aborted) return;
             await sendLongMessage(chatId, `Error processing image: ${e?.message || String(e)}`);
+        } finally {
+            // handleUserText finishes the status message once it owns it.
+            if (!handedOff) await progress.finish(run.signal.aborted ? "cancelled" : "failed");
+            runs.finish(run);
         }
     }
 
-    async function handleVoiceMessage(chatId, fileId) {
+    async function handleVoiceMessage(chatId, fileId, userId = null) {
+        const gate = budgetGate(userId);
+        if (gate.refused) {
+            await safeSendMessage(chatId, gate.refused);
+            return;
+        }
+        const run = runs.start(chatId, "(voice message)");
+        run.activity = "downloading/transcribing audio";
+        const progress = createProgressMessage({ chatId, safeSendMessage, safeEditMessage, title: "(voice message)" });
+        let handedOff = false;
         try {
-            await safeSendMessage(chatId, "Downloading audio...");
+            await progress.start();
+            const download = progress.step("download audio");
             const audioPath = await downloadTelegramFile(fileId, "audio");
-            lastAttachment.set(chatId, { ...(lastAttachment.get(chatId) || {}), audioPath });
-
-            await safeSendMessage(chatId, "Transcribing audio...");
-            const transcript = await openai.transcribeAudioWithOpenAI(audioPath);
+            download.done({ success: true });
+            await history.setAttachment(chatId, { audioPath });
+
+            const transcribe = progress.step("transcribe audio");
+            const transcript = await openai.transcribeAudio(audioPath, { signal: run.signal });
+            transcribe.done(transcript);
+            if (transcript.usage) usage.record({ model: transcript.model, userId, chatId, usage: transcript.usage });
+            if (transcript.cancelled || run.signal.aborted) return;
             if (!transcript.success) {
-                const ffmpegHint = (await openai.isFfmpegAvailable())
+                // faster-whisper decodes audio itself; the other providers convert it with ffmpeg.
+                const ffmpegHint = (STT.provider === "faster-whisper" || await openai.isFfmpegAvailable())
                     ? ""
                     : "\n\nTip: Telegram voice notes are usually .ogg/.oga; install ffmpeg and add it to PATH for best transcription reliability.";
                 await sendLongMessage(chatId, `Transcription unavailable: ${transcript.error}${ffmpegHint}`);
@@ -465,34 +1054,371 @@ Step mode:
                 return;
             }
 
-            await sendLongMessage(chatId, `Heard:\n${text}`);
-            await handleUserText(chatId, text);
+            const details = [transcript.language, transcript.duration != null ? `${Math.round(transcript.duration)}s` : null].filter(Boolean).join(", ");
+            // With segments, the user and the agent both get the timestamped lines.
+            const timed = formatTranscriptSegments(transcript.segments);
+            await sendLongMessage(chatId, `Heard${details ? ` (${details})` : ""}:\n${timed || text}`);
+            run.label = text;
+            const request = timed
+                ? `Voice message${details ? ` (${details})` : ""}, transcript with timestamps:\n${timed}`
+                : text;
+            handedOff = true;
+            await handleUserText(chatId, request, { userId, run, progress });
         } catch (e) {
+            if (run.signal.aborted) return;
             await sendLongMessage(chatId, `Error processing audio: ${e?.message || String(e)}`);
+        } finally {
+            if (!handedOff) await progress.finish(run.signal.aborted ? "cancelled" : "failed");
+            runs.finish(run);
+        }
+    }
+
+    // Any other document is saved to the chat's uploads folder and described to the agent. With a
+    // caption that is a request; without one it is only recorded, for the next message to refer to.
+    async function handleDocumentMessage(chatId, caption, document, userId = null) {
+        const fileName = document.file_name || "";
+        const label = caption || `(file) ${fileName}`;
+        const run = runs.start(chatId, label);
+        run.activity = "downloading file";
+        const progress = createProgressMessage({ chatId, safeSendMessage, safeEditMessage, title: label });
+        let handedOff = false;
+        let outcome = "failed";
+        try {
+            await progress.start();
+            const download = progress.step("download file");
+            const tempPath = await downloadTelegramFile(document.file_id, "documents");
+            const saved = await uploads.save(chatId, tempPath, fileName);
+            download.done({ success: true });
+            await history.setAttachment(chatId, { filePath: saved.path });
+            if (run.signal.aborted) return;
+
+            const description = describeUpload({ path: saved.path, name: fileName, mimeType: document.mime_type, size: saved.size, retentionHours: UPLOAD_RETENTION_HOURS });
+            if (!caption) {
+                // Keep the history a user/assistant alternation without spending a model call.
+                await history.setMessages(chatId, [
+                    ...history.getMessages(chatId),
+                    { role: "user", content: description },
+                    { role: "assistant", content: `Saved ${fileName || "the file"} at ${saved.path}.` }
+                ]);
+                await safeSendMessage(chatId, `Saved ${fileName || "the file"} (${formatBytes(saved.size)}) to ${saved.path}, kept ${formatRetention(UPLOAD_RETENTION_HOURS)}. Tell me what to do with it.`);
+                outcome = "done";
+                return;
+            }
+
+            handedOff = true;
+            await handleUserText(chatId, `User message: ${caption}\n\n${description}`, { userId, run, progress });
+        } catch (e) {
+            if (run.signal.aborted) return;
+            await sendLongMessage(chatId, `Error saving file: ${e?.message || String(e)}`);
+        } finally {
+            if (!handedOff) await progress.finish(run.signal.aborted ? "cancelled" : outcome);
+            runs.finish(run);
+        }
+    }
+
+    // Run agent requests one at a time per chat. In "interrupt" mode a new request cancels the
+    // running one instead of waiting behind it.
+    // Returns the queued job (used by the API to cancel a run that has not started yet).
+    async function enqueueRequest(chatId, userId, label, run, transport = telegramTransport) {
+        // A queued request runs later, from the queue; it still replies to its own message. The
+        // queue only logs a failure, so the reason is reported here.
+        const task = bindReplyTarget(async () => {
+            try {
+                await run();
+            } catch (e) {
+                console.warn("[request_failed]", sanitizeError(e));
+                await transport.safeSendMessage(chatId, `Error: ${e?.message || String(e)}`);
+            }
+        });
+        if (chatSettings.get(chatId).queueMode === "interrupt") {
+            const cancelled = runs.cancel(chatId);
+            if (cancelled.length) {
+                await transport.sendLongMessage(chatId, `Interrupted by your new message.\n${formatCancelledRuns(cancelled)}`);
+            }
+            return queue.enqueue(chatId, { label, userId, task }).job;
+        }
+        const { job, position } = queue.enqueue(chatId, { label, userId, task });
+        if (position > 1) {
+            await transport.safeSendMessage(chatId, `Queued (#${position}). Use /queue to see or drop pending requests.`);
         }
+        return job;
+    }
+
+    // A due /schedule entry runs as its author, through the same queue as a typed message.
+    async function runScheduled(item, { missed }) {
+        const { chatId, userId, prompt } = item;
+        if (!access.canActInChat(userId, chatId)) {
+            await scheduler.setPaused(chatId, item.id, true);
+            await safeSendMessage(chatId, `Schedule #${item.id} is paused: its owner (${userId}) may no longer use the bot in this chat.`);
+            return;
+        }
+        await safeSendMessage(chatId, `Scheduled #${item.id}${missed ? " (missed while offline)" : ""}: ${prompt.slice(0, 200)}`);
+        await enqueueRequest(chatId, userId, `(schedule #${item.id}) ${prompt}`, () => handleUserText(chatId, prompt, { userId }));
+    }
+
+    async function handleScheduleCommand(chatId, userId, rest) {
+        const sep = rest.indexOf("|");
+        const specText = sep >= 0 ? rest.slice(0, sep).trim() : "";
+        const prompt = sep >= 0 ? rest.slice(sep + 1).trim() : "";
+        if (!specText || !prompt) {
+            await safeSendMessage(
+                chatId,
+                "Usage: /schedule <when> | <prompt>\n" +
+                "<when> is an interval (every 30m, every 2h, every 1d), a 5-field cron expression " +
+                "(minute hour day month weekday, e.g. 0 9 * * 1-5) or @hourly/@daily/@weekly/@monthly.\n" +
+                "Times use this machine's clock."
+            );
+            return;
+        }
+        if (scheduler.list(chatId).length >= MAX_SCHEDULES_PER_CHAT) {
+            await safeSendMessage(chatId, `This chat already has ${MAX_SCHEDULES_PER_CHAT} schedules. Delete one with /schedules delete <id>.`);
+            return;
+        }
+        let item;
+        try {
+            item = await scheduler.add({ chatId, userId, prompt, specText });
+        } catch (e) {
+            await safeSendMessage(chatId, `Invalid schedule: ${e.message}`);
+            return;
+        }
+        await safeSendMessage(chatId, `Schedule #${item.id} added (${item.spec.text}). Next run: ${new Date(item.nextRunAt).toLocaleString()}.`);
+    }
+
+    async function handleSchedulesCommand(chatId, userId, args) {
+        const [sub, value] = args;
+        if (!sub) {
+            await sendLongMessage(chatId, formatSchedules(scheduler.list(chatId)));
+            return;
+        }
+        const id = Math.floor(Number((value || "").replace(/^#/, "")));
+        if (!["pause", "resume", "delete"].includes(sub) || !Number.isFinite(id)) {
+            await safeSendMessage(chatId, "Usage: /schedules, /schedules pause <id>, /schedules resume <id>, /schedules delete <id>");
+            return;
+        }
+        const item = scheduler.get(chatId, id);
+        if (!item) {
+            await safeSendMessage(chatId, `No schedule #${id} in this chat.`);
+            return;
+        }
+        if (!access.canChangeSettings(userId, chatId) && item.userId !== userId) {
+            await safeSendMessage(chatId, "You can only change your own schedules.");
+            return;
+        }
+        if (sub === "delete") {
+            await scheduler.remove(chatId, id);
+            await safeSendMessage(chatId, `Deleted schedule #${id}.`);
+            return;
+        }
+        const updated = await scheduler.setPaused(chatId, id, sub === "pause");
+        await safeSendMessage(chatId, updated.paused
+            ? `Paused schedule #${id}.`
+            : `Resumed schedule #${id}. Next run: ${new Date(updated.nextRunAt).toLocaleString()}.`);
+    }
+
+    // /logs <id> [lines], /kill <id>
+    async function handleJobCommand(chatId, userId, [command, idArg, linesArg]) {
+        const id = Math.floor(Number((idArg || "").replace(/^#/, "")));
+        const job = Number.isFinite(id) ? jobs.get(id) : null;
+        if (!job || job.chatId?.toString() !== chatId.toString()) {
+            await safeSendMessage(chatId, idArg ? `No background job #${idArg} in this chat. See /jobs.` : `Usage: ${command} <id>${command === "/logs" ? " [lines]" : ""}`);
+            return;
+        }
+        if (command === "/logs") {
+            const n = Math.floor(Number(linesArg));
+            const output = await jobs.tail(id, Number.isFinite(n) && n > 0 ? Math.min(n, 500) : 30);
+            await safeSendMessage(chatId, `#${id} ${describeJobStatus(job)}`);
+            await sendLongMessage(chatId, output || "(no output)", { format: "code" });
+            return;
+        }
+        if (!access.canChangeSettings(userId, chatId) && job.userId !== userId) {
+            await safeSendMessage(chatId, "You can only kill your own jobs.");
+            return;
+        }
+        await safeSendMessage(chatId, jobs.kill(id) ? `Stopping job #${id}…` : `Job #${id} is not running (${describeJobStatus(job)}).`);
+    }
+
+    async function handleQueueCommand(chatId, userId, args) {
+        const [sub, value] = args;
+        const canManageAll = access.canChangeSettings(userId, chatId);
+        if (!sub) {
+            await sendLongMessage(chatId, formatQueue(queue.snapshot(chatId), { mode: chatSettings.get(chatId).queueMode }));
+            return;
+        }
+        if (sub === "drop") {
+            const index = Math.floor(Number(value));
+            const job = queue.snapshot(chatId).pending[index - 1];
+            if (!job) {
+                await safeSendMessage(chatId, "Usage: /queue drop <n> (see /queue for numbers).");
+                return;
+            }
+            if (!canManageAll && job.userId !== userId) {
+                await safeSendMessage(chatId, "You can only drop your own requests.");
+                return;
+            }
+            queue.drop(chatId, index);
+            await safeSendMessage(chatId, `Dropped #${index}: "${job.label.slice(0, 80)}"`);
+            return;
+        }
+        if (sub === "clear") {
+            const removed = queue.clear(chatId, (job) => canManageAll || job.userId === userId);
+            await safeSendMessage(chatId, `Dropped ${removed} pending request(s).`);
+            return;
+        }
+        if (sub === "mode") {
+            if (!QUEUE_MODES.includes(value)) {
+                await safeSendMessage(chatId, `Usage: /queue mode <${QUEUE_MODES.join("|")}>`);
+                return;
+            }
+            if (!canManageAll) {
+                await safeSendMessage(chatId, "Your role is not allowed to change settings.");
+                return;
+            }
+            await chatSettings.update(chatId, { queueMode: value });
+            await safeSendMessage(chatId, value === "interrupt"
+                ? "Interrupt mode: a new message cancels the running request."
+                : "Queue mode: new messages wait for the running request to finish.");
+            return;
+        }
+        await safeSendMessage(chatId, "Usage: /queue, /queue drop <n>, /queue clear, /queue mode <queue|interrupt>");
+    }
+
+    async function handleStepCommand(chatId, userId, arg) {
+        if (!arg) {
+            await safeSendMessage(chatId, chatSettings.get(chatId).stepMode
+                ? "Step mode is on: every tool call waits for Next / Skip / Stop. Turn it off with /step off."
+                : "Step mode is off. /step on shows each tool call with the agent's reason and waits for Next / Skip / Stop.");
+            return;
+        }
+        if (arg !== "on" && arg !== "off") {
+            await safeSendMessage(chatId, "Usage: /step, /step on, /step off");
+            return;
+        }
+        // Other members rely on step mode as a gate for the whole chat, so switching it is a
+        // settings change.
+        if (!access.canChangeSettings(userId, chatId)) {
+            await safeSendMessage(chatId, "Your role is not allowed to change settings.");
+            return;
+        }
+        await chatSettings.update(chatId, { stepMode: arg === "on" });
+        await safeSendMessage(chatId, arg === "on"
+            ? "Step mode on: before each tool call I will show what I want to do and why, and wait for Next, Skip or Stop. It applies from the next request."
+            : "Step mode off: tool calls run without stepping (approval rules still apply).");
+    }
+
+    // Bot identity for mentions in groups (cached; the terminal front end has no getMe).
+    let botInfo = null;
+    async function getBotInfo() {
+        if (!botInfo && typeof bot.getMe === "function") {
+            try {
+                botInfo = await bot.getMe();
+            } catch (e) {
+                console.warn("[getMe_failed]", sanitizeError(e));
+            }
+        }
+        return botInfo;
+    }
+
+    // In a group, a message is for the bot when it is a command, mentions the bot or replies to one
+    // of the bot's messages. Returns { text, caption } with the mention removed, or null.
+    async function addressedToBot(msg) {
+        const me = await getBotInfo();
+        const username = (me?.username || "").toLowerCase();
+        if (typeof msg.text === "string") {
+            // "/cmd" and "/cmd@ThisBot" are ours; "/cmd@OtherBot" is for another bot in the group.
+            const cmd = /^(\/[A-Za-z0-9_]+)(?:@([A-Za-z0-9_]+))?/.exec(msg.text);
+            if (cmd) {
+                if (cmd[2] && cmd[2].toLowerCase() !== username) return null;
+                return { text: cmd[1] + msg.text.slice(cmd[0].length), caption: msg.caption };
+            }
+        }
+        const body = msg.text ?? msg.caption ?? "";
+        const entities = msg.entities || msg.caption_entities || [];
+        const mentioned = entities.some((e) =>
+            (e.type === "mention" && username && body.substr(e.offset, e.length).toLowerCase() === `@${username}`) ||
+            (e.type === "text_mention" && me && e.user?.id === me.id));
+        const reply = msg.reply_to_message;
+        // In forum topics every message replies to the topic's first message; that does not count.
+        const repliedToBot = Boolean(me && reply?.from?.id === me.id && reply.message_id !== msg.message_thread_id);
+        if (!mentioned && !repliedToBot) return null;
+        const clean = (s) => (typeof s === "string" && username
+            ? s.replace(new RegExp(`@${username}\\b`, "ig"), "").replace(/[ \t]{2,}/g, " ").trim()
+            : s);
+        return { text: clean(msg.text), caption: clean(msg.caption) };
     }
 
     bot.on("message", async (msg) => {
-        const chatId = msg.chat.id;
+        let text = msg.text;
+        let caption = msg.caption;
+        // Group chats: only messages addressed to the bot are handled; the rest is ignored silently.
+        const inGroup = msg.chat.type === "group" || msg.chat.type === "supergroup";
+        if (inGroup) {
+            const addressed = await addressedToBot(msg);
+            if (!addressed) return;
+            ({ text, caption } = addressed);
+        }
+        // Each forum topic is a conversation of its own (history, queue, settings, schedules).
+        const chatId = chatKeyFor(msg.chat.id, msg.is_topic_message ? msg.message_thread_id : null);
+        // In groups, everything sent for this message is threaded as a reply to it.
+        await withReplyTo(chatId, inGroup ? msg.message_id : null, () => handleMessage(msg, { chatId, text, caption, inGroup }));
+    });
+
+    async function handleMessage(msg, { chatId, text, caption, inGroup }) {
         const userId = msg.from.id.toString();
-        const text = msg.text;
-        const caption = msg.caption;
 
-        if (authorizedUserIds.length > 0 && !authorizedUserIds.includes(userId)) {
-            const username = msg.from.username ? `@${msg.from.username}` : "(no username)";
-            const name = [msg.from.first_name, msg.from.last_name].filter(Boolean).join(" ") || "(no name)";
+        if (inGroup && !access.groupFor(chatId)) {
+            const { username, name } = describeSender(msg.from);
+            console.warn(`[UNAUTHORIZED] group chatId=${msg.chat.id} title=${JSON.stringify(msg.chat.title || "")} userId=${userId}`);
+            if (!limiter.shouldAnswerUnauthorized("group", msg.chat.id)) return;
+            await reportToAdmins(
+                `group:${msg.chat.id}`,
+                `User ${userId} ${username} (${name}) addressed the bot in group ${msg.chat.id} "${msg.chat.title || ""}", which is not listed in groups.`
+            );
+            await safeSendMessage(
+                chatId,
+                `This group is not authorized.\n\nGroup chat ID: ${msg.chat.id}\nAn admin can allow it under "groups" in config.json.`
+            );
+            return;
+        }
+
+        if (!access.canActInChat(userId, chatId)) {
+            const { username, name } = describeSender(msg.from);
+            const hasRole = Boolean(access.roleFor(userId, chatId));
 
             console.warn(
                 `[UNAUTHORIZED] chatId=${chatId} userId=${userId} username=${username} name="${name}" text=${JSON.stringify(text || caption || "")}`
             );
+            // Exponential back-off on the reply so it cannot be used to flood the chat.
+            if (!limiter.shouldAnswerUnauthorized(userId, msg.chat.id)) return;
+            await reportToAdmins(
+                `msg:${userId}:${chatId}`,
+                hasRole
+                    ? `User ${userId} ${username} (${name}) tried to use the bot in chat ${chatId}, which their role does not allow.`
+                    : `Unauthorized user ${userId} ${username} (${name}) messaged the bot in chat ${chatId}: ${JSON.stringify((text || caption || "").slice(0, 200))}`
+            );
 
             await safeSendMessage(
                 chatId,
-                `Unauthorized user.\n\nYour Telegram ID: ${userId}\nUsername: ${username}\nName: ${name}`
+                hasRole
+                    ? "Your role does not allow using the bot in this chat."
+                    : `Unauthorized user.\n\nYour Telegram ID: ${userId}\nUsername: ${username}\nName: ${name}`
             );
             return;
         }
 
+        // A reply to an approval "Edit" prompt replaces the pending tool input; it is not a new request.
+        if (approvals.consumeEditReply(msg, chatId)) return;
+
+        // Flood protection (config.rateLimits). /cancel always gets through; the match is the
+        // same exact one the command handler uses, so "/cancel <anything>" is limited like any request.
+        const isCancel = text === "/cancel";
+        if (!isCancel) {
+            const limited = limiter.checkMessage(userId, msg.chat.id);
+            if (limited) {
+                if (limited.notify) await safeSendMessage(chatId, limited.message);
+                return;
+            }
+        }
+
         try {
             if (text === "/start") {
                 await safeSendMessage(
@@ -501,8 +1427,20 @@ Step mode:
                     "You can also:\n" +
                     '- send "screenshot" to capture the desktop\n' +
                     "- send a URL and ask to browse/screenshot it\n" +
-                    "- send a photo (optional OpenAI key) for image understanding\n" +
-                    "- send a voice note (optional OpenAI key) for transcription\n\n" +
+                    "- send a photo (with an optional caption) for image understanding\n" +
+                    "- send a voice note for transcription (OpenAI or a local Whisper)\n" +
+                    "- send a file (zip, csv, logs, scripts...) to save it in the workspace; add a caption to say what to do with it\n" +
+                    "- /history [n] to show recent turns, /reset to clear this chat's context\n" +
+                    "- /cancel to stop the running request (kills its processes)\n" +
+                    "- /queue to see or drop pending requests\n" +
+                    "- /step on|off to confirm each tool call with Next / Skip / Stop\n" +
+                    "- /jobs, /logs <id>, /kill <id> for background jobs\n" +
+                    "- /schedule <when> | <prompt> to run a prompt on a timer, /schedules to list, pause or delete them\n" +
+                    "- /whoami to see your role and permissions\n" +
+                    "- in groups, mention me or reply to my messages; each forum topic has its own context\n" +
+                    "- /model to see or switch the Claude model for this chat\n" +
+                    "- /usage to see token usage and cost\n" +
+                    "- /audit [n] [tool] to review recent tool calls (admins)\n\n" +
                     (STEP_CONFIRM
                         ? "Step-by-step mode is enabled (internal). The bot will take actions one-by-one with separate model calls.\n\n"
                         : "") +
@@ -511,43 +1449,265 @@ Step mode:
                 return;
             }
 
+            if (typeof text === "string" && /^\/history(\s|$)/.test(text.trim())) {
+                const n = Math.floor(Number(text.trim().split(/\s+/)[1]));
+                const limit = Number.isFinite(n) && n > 0 ? Math.min(n, HISTORY_VIEW_LIMIT) : 10;
+                await sendLongMessage(chatId, formatHistory(history.getMessages(chatId), { limit }));
+                return;
+            }
+
+            if (isCancel) {
+                const cancelled = runs.cancel(chatId);
+                await sendLongMessage(chatId, formatCancelledRuns(cancelled));
+                return;
+            }
+
+            if (text === "/jobs") {
+                await sendLongMessage(chatId, formatJobs(jobs.list(chatId)));
+                return;
+            }
+
+            if (typeof text === "string" && /^\/(logs|kill)(\s|$)/.test(text.trim())) {
+                await handleJobCommand(chatId, userId, text.trim().split(/\s+/));
+                return;
+            }
+
+            if (typeof text === "string" && /^\/audit(\s|$)/.test(text.trim())) {
+                if (!access.canChangeSettings(userId, chatId)) {
+                    await safeSendMessage(chatId, "Your role is not allowed to read the audit log.");
+                    return;
+                }
+                // /audit [n] [tool], in either order
+                let limit = 10;
+                let tool;
+                for (const arg of text.trim().split(/\s+/).slice(1)) {
+                    const n = Math.floor(Number(arg));
+                    if (Number.isFinite(n) && n > 0) limit = Math.min(n, 50);
+                    else tool = arg;
+                }
+                const entries = await audit.recent({ limit, tool });
+                await sendLongMessage(chatId, formatAuditEntries(entries));
+                return;
+            }
+
+            if (typeof text === "string" && /^\/model(\s|$)/.test(text.trim())) {
+                const arg = text.trim().split(/\s+/)[1];
+                if (!arg) {
+                    const current = modelForChat(chatId);
+                    const lines = [
+                        `Model for this chat: ${current}${current === CLAUDE_MODEL ? " (default)" : ""}`,
+                        "",
+                        "Available:",
+                        ...CLAUDE_MODELS.map((m, i) => `${i + 1}. ${m}${m === CLAUDE_MODEL ? " (default)" : ""}`)
+                    ];
+                    if (CLAUDE_FALLBACK_MODELS.length) lines.push("", `Fallback on overload/5xx: ${CLAUDE_FALLBACK_MODELS.join(" → ")}`);
+                    lines.push("", "Switch with /model <n|name>, or /model default.");
+                    await sendLongMessage(chatId, lines.join("\n"));
+                    return;
+                }
+                if (!access.canChangeSettings(userId, chatId)) {
+                    await safeSendMessage(chatId, "Your role is not allowed to change settings.");
+                    return;
+                }
+                const index = Math.floor(Number(arg));
+                const picked = arg === "default"
+                    ? CLAUDE_MODEL
+                    : (Number.isFinite(index) && index >= 1 ? CLAUDE_MODELS[index - 1] : CLAUDE_MODELS.find((m) => m === arg));
+                if (!picked) {
+                    await safeSendMessage(chatId, `Unknown model "${arg}". Use /model to see the configured list (claudeModels in config.json).`);
+                    return;
+                }
+                await chatSettings.update(chatId, { model: picked === CLAUDE_MODEL ? null : picked });
+                await safeSendMessage(chatId, `This chat now uses ${picked}. It applies from the next request.`);
+                return;
+            }
+
+            if (text === "/usage") {
+                await sendLongMessage(chatId, formatUsageReport(usage, {
+                    userId,
+                    chatId,
+                    includeAll: access.canChangeSettings(userId, chatId)
+                }));
+                return;
+            }
+
+            if (text === "/whoami") {
+                await safeSendMessage(chatId, `Your Telegram ID: ${userId}\n${access.describe(userId, chatId)}`);
+                return;
+            }
+
+            if (text === "/reset") {
+                if (!access.canChangeSettings(userId, chatId)) {
+                    await safeSendMessage(chatId, "Your role is not allowed to change settings or reset the chat context.");
+                    return;
+                }
+                const existed = await history.reset(chatId);
+                await safeSendMessage(chatId, existed ? "Conversation context cleared for this chat." : "Nothing to clear: this chat has no saved context.");
+                return;
+            }
+
+            if (typeof text === "string" && /^\/policy(\s|$)/.test(text.trim())) {
+                const m = text.trim().match(/^\/policy\s+test\s+([\s\S]+)$/);
+                if (!m) {
+                    await safeSendMessage(chatId, "Usage: /policy test <command>\nShows which commandPolicy rule would match for you (shell auto-detected, default cwd). Several lines are tested as a script.");
+                    return;
+                }
+                // Several lines are checked the way a multi-line `script` call would be.
+                const body = m[1].trim();
+                const decision = toolApi.checkPolicy("execute_command", body.includes("\n") ? { script: body } : { command: body }, { userId });
+                await sendLongMessage(chatId, formatPolicyDecision(decision, decision.subject));
+                return;
+            }
+
+            if (typeof text === "string" && /^\/queue(\s|$)/.test(text.trim())) {
+                await handleQueueCommand(chatId, userId, text.trim().split(/\s+/).slice(1));
+                return;
+            }
+
+            if (typeof text === "string" && /^\/step(\s|$)/.test(text.trim())) {
+                await handleStepCommand(chatId, userId, (text.trim().split(/\s+/)[1] || "").toLowerCase());
+                return;
+            }
+
+            if (typeof text === "string" && /^\/schedule(\s|$)/.test(text.trim())) {
+                await handleScheduleCommand(chatId, userId, text.trim().replace(/^\/schedule\s*/, ""));
+                return;
+            }
+
+            if (typeof text === "string" && /^\/schedules(\s|$)/.test(text.trim())) {
+                await handleSchedulesCommand(chatId, userId, text.trim().split(/\s+/).slice(1));
+                return;
+            }
+
+            // Everything below starts an agent run: check concurrent requests and tool calls per hour.
+            const inChat = queue.snapshot(chatId);
+            if (inGroup && typeof text === "string" && !text.trim()) {
+                const me = await getBotInfo();
+                await safeSendMessage(chatId, `Mention me with a request (e.g. "@${me?.username || "bot"} show free disk space"), or reply to one of my messages.`);
+                return;
+            }
+
+            const runLimited = limiter.checkRun(userId, msg.chat.id, {
+                userRuns: queue.count((job) => job.userId === userId),
+                chatRuns: inChat.pending.length + (inChat.current ? 1 : 0)
+            });
+            if (runLimited) {
+                if (runLimited.notify) await safeSendMessage(chatId, runLimited.message);
+                return;
+            }
+
             if (typeof text === "string" && text.trim().length > 0) {
-                await safeSendMessage(chatId, "Processing your request...");
-                await handleUserText(chatId, text);
+                await enqueueRequest(chatId, userId, text, () => handleUserText(chatId, text, { userId }));
                 return;
             }
 
             if (Array.isArray(msg.photo) && msg.photo.length > 0) {
                 const best = msg.photo[msg.photo.length - 1];
-                await handlePhotoMessage(chatId, caption || "", best.file_id);
+                await enqueueRequest(chatId, userId, caption || "(photo)", () => handlePhotoMessage(chatId, caption || "", best.file_id, userId));
                 return;
             }
 
             if (msg.voice?.file_id) {
-                await handleVoiceMessage(chatId, msg.voice.file_id);
+                await enqueueRequest(chatId, userId, "(voice message)", () => handleVoiceMessage(chatId, msg.voice.file_id, userId));
                 return;
             }
 
             if (msg.audio?.file_id) {
-                await handleVoiceMessage(chatId, msg.audio.file_id);
+                await enqueueRequest(chatId, userId, "(audio)", () => handleVoiceMessage(chatId, msg.audio.file_id, userId));
                 return;
             }
 
             // Optional: image sent as a document
             if (msg.document?.file_id && (msg.document.mime_type || "").startsWith("image/")) {
-                await handlePhotoMessage(chatId, caption || "", msg.document.file_id);
+                await enqueueRequest(chatId, userId, caption || "(image)", () => handlePhotoMessage(chatId, caption || "", msg.document.file_id, userId));
+                return;
+            }
+
+            if (msg.document?.file_id) {
+                // Rejected before queueing, so an oversized or disallowed file gets an immediate answer.
+                const rejected = uploads.check({ fileName: msg.document.file_name, fileSize: msg.document.file_size });
+                if (rejected) {
+                    await safeSendMessage(chatId, rejected);
+                    return;
+                }
+                await enqueueRequest(chatId, userId, caption || `(file) ${msg.document.file_name || ""}`, () => handleDocumentMessage(chatId, caption || "", msg.document, userId));
                 return;
             }
 
-            await safeSendMessage(chatId, "Unsupported message type. Send text, a photo, or a voice note.");
+            await safeSendMessage(chatId, "Unsupported message type. Send text, a photo, a file, or a voice note.");
         } catch (error) {
             console.error("Error:", error);
             await safeSendMessage(chatId, `Error: ${error.message}`);
         }
+    }
+
+    bot.on("callback_query", async (query) => {
+        const userId = query.from?.id?.toString();
+        const chatId = query.message?.chat?.id;
+        if (!access.canActInChat(userId, chatId)) {
+            try { await bot.answerCallbackQuery(query.id, { text: "Unauthorized user." }); } catch (_) {}
+            const { username, name } = describeSender(query.from);
+            console.warn(`[UNAUTHORIZED] callback chatId=${chatId} userId=${userId} username=${username} data=${JSON.stringify(query.data || "")}`);
+            await reportToAdmins(`cb:${userId}:${chatId}`, `User ${userId} ${username} (${name}) pressed a bot button in chat ${chatId} without permission.`);
+            return;
+        }
+        try {
+            if (await approvals.handleCallbackQuery(query)) return;
+            if (await stepper.handleCallbackQuery(query)) return;
+            await bot.answerCallbackQuery(query.id);
+        } catch (e) {
+            console.warn("[callback_query_error]", sanitizeError(e));
+        }
     });
 
+    // The terminal session has its own state (see `dataDir`), so it fires its own schedules.
+    scheduler.start();
+    if (injectedBot) return { bot };
+
+    startTransport().catch((e) => console.error("[transport] failed to start:", sanitizeError(e)));
+
+    // Local HTTP API (api.js): the same queue and agent loop, with an event transport per run.
+    const apiToken = (process.env.BOT_API_TOKEN || API.token || "").toString().trim();
+    if (API.enabled === true) {
+        const apiUserId = (API.userId ?? "").toString().trim();
+        if (!apiToken || !apiUserId) {
+            console.warn("[api] api.enabled is set but BOT_API_TOKEN (or api.token) / api.userId is missing; API not started.");
+        } else {
+            const apiServer = createApiServer({
+                host: API.host || "127.0.0.1",
+                port: Math.floor(Number(API.port)) || 8787,
+                token: apiToken,
+                userId: apiUserId,
+                approvalTimeoutSeconds: APPROVAL_TIMEOUT_SECONDS,
+                redact: redactOutgoing,
+                redactDeep: redactor.maskDeep,
+                submit: async ({ chatId, userId, text, transport, onStart, onFinish }) => {
+                    if (!access.canActInChat(userId, chatId)) {
+                        throw Object.assign(new Error(`User ${userId} is not allowed to run requests in ${chatId}.`), { status: 403 });
+                    }
+                    return await enqueueRequest(chatId, userId, text, async () => {
+                        onStart();
+                        try {
+                            onFinish(await handleUserText(chatId, text, { userId, transport }));
+                        } catch (e) {
+                            onFinish({ outcome: "failed", replyText: `Error: ${e?.message || String(e)}` });
+                        }
+                    }, transport);
+                },
+                cancel: (job, chatId, { queued }) => {
+                    if (queued) return queue.clear(chatId, (j) => j === job) > 0;
+                    return runs.cancel(chatId).length > 0;
+                }
+            });
+            apiServer.start()
+                .then((addr) => console.log(`[api] listening on http://${addr.address}:${addr.port}`))
+                .catch((e) => console.warn("[api] could not start:", sanitizeError(e)));
+        }
+    }
+
     console.log("Bot is running...");
     console.log("Press Ctrl+C to stop.");
+    return { bot };
 }
 
 module.exports = { startTelegramBot };
@@ -1,9 +1,12 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const { spawn } = require("child_process");
 
 const { loadConfig } = require("./config");
-const { execPromise } = require("./utils");
+const { execPromise, execCancellable, killProcessTree } = require("./utils");
+const { evaluateCommandPolicy, policyBlockedResult } = require("./policy");
+const { describeStatus, formatJobFinished } = require("./jobs");
 
 const tools = [
     {
@@ -39,9 +42,17 @@ const tools = [
                 },
                 timeout_ms: {
                     type: "number",
-                    description: "Timeout in milliseconds (default 30000).",
+                    description: "Timeout in milliseconds (default 30000). Ignored for background jobs.",
                     default: 30000
                 },
+                background: {
+                    type: "boolean",
+                    description:
+                        "Run as a background job and return a job ID immediately instead of waiting for the output. " +
+                        "Use for builds, backups, downloads and anything else that may run longer than a minute. " +
+                        "Output goes to a log file and the user is notified when the job ends; use check_job to see its status and output.",
+                    default: false
+                },
                 cwd: {
                     type: "string",
                     description: "Optional working directory for the command."
@@ -195,6 +206,55 @@ const tools = [
             required: ["url"]
         }
     },
+    {
+        name: "send_file",
+        description:
+            "Send files or folders from this machine to the user. Folders are zipped first. Images are sent as photos, audio files as audio, everything else as a document. " +
+            "Telegram accepts at most 50 MB per file: larger files are refused unless split=true, which sends numbered parts (.001, .002, ...). " +
+            "Only paths under the bot's data folder (except its state and other chats' uploads) and the configured sendFileRoots can be sent. " +
+            "Files are sent as they are: secrets inside them are not redacted.",
+        input_schema: {
+            type: "object",
+            properties: {
+                paths: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Files and/or folders to send (absolute, or relative to the data folder). At most 10."
+                },
+                caption: {
+                    type: "string",
+                    description: "Optional caption for the first file."
+                },
+                split: {
+                    type: "boolean",
+                    description: "Split files over the 50 MB limit into parts instead of refusing them.",
+                    default: false
+                }
+            },
+            required: ["paths"]
+        }
+    },
+    {
+        name: "check_job",
+        description:
+            "Check background jobs started with execute_command { background: true } in this chat: status, exit code, runtime and the last lines of output. " +
+            "Without job_id, lists the chat's recent jobs.",
+        input_schema: {
+            type: "object",
+            properties: {
+                job_id: {
+                    type: "number",
+                    description: "Job ID returned when the job was started."
+                },
+                tail_lines: {
+                    type: "number",
+                    description: "How many trailing log lines to return (default 20, max 200).",
+                    default: 20
+                }
+            },
+            required: []
+        }
+    },
     {
         name: "run_healer",
         description:
@@ -216,7 +276,16 @@ const tools = [
 
 const HEALER_RAN_THIS_PROCESS = { ran: false };
 
-function createTools({ DATA_DIR, TMP_DIR, browseWebsite, resolveFfmpegPath, isFfmpegAvailable } = {}) {
+// Telegram Bot API upload limits.
+const TELEGRAM_UPLOAD_LIMIT = 50 * 1024 * 1024;
+const TELEGRAM_PHOTO_LIMIT = 10 * 1024 * 1024;
+const SPLIT_PART_BYTES = 49 * 1024 * 1024;
+const MAX_SPLIT_PARTS = 20;
+const MAX_SEND_PATHS = 10;
+const PHOTO_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp"]);
+const AUDIO_EXTENSIONS = new Set([".mp3", ".m4a", ".ogg", ".oga", ".wav", ".flac", ".aac"]);
+
+function createTools({ DATA_DIR, TMP_DIR, browseWebsite, resolveFfmpegPath, isFfmpegAvailable, jobs, sendFileRoots = [], uploadsDirFor = null } = {}) {
     function resolveDataPath(p) {
         if (!p) return null;
         const s = p.toString().trim();
@@ -495,7 +564,7 @@ function createTools({ DATA_DIR, TMP_DIR, browseWebsite, resolveFfmpegPath, isFf
         return filePath;
     }
 
-    async function executeCommand({ command, script, shell = "auto", file_path, timeout_ms = 30000, cwd, use_powershell } = {}) {
+    async function executeCommand({ command, script, shell = "auto", file_path, timeout_ms = 30000, cwd, use_powershell, background = false } = {}, ctx) {
         try {
             const effectiveShell = detectShell({ shell, command, script, use_powershell });
 
@@ -575,14 +644,14 @@ function createTools({ DATA_DIR, TMP_DIR, browseWebsite, resolveFfmpegPath, isFf
                 }
             }
 
-            const { stdout, stderr } = await execPromise(cmd, {
+            if (background === true) return startBackgroundJob(cmd, { label: hasCommand ? command : `[script] ${script}`, cwd }, ctx);
+
+            const { stdout, stderr } = await execCancellable(cmd, {
                 timeout: timeout_ms,
                 windowsHide: true,
                 maxBuffer: 10 * 1024 * 1024,
-                cwd: cwd
-                    ? (path.isAbsolute(cwd) ? cwd : path.resolve(cwd))
-                    : DATA_DIR
-            });
+                cwd: resolveCommandCwd(cwd)
+            }, ctx?.signal);
             const outText = (stdout || "").toString();
             const errText = (stderr || "").toString();
 
@@ -611,18 +680,254 @@ function createTools({ DATA_DIR, TMP_DIR, browseWebsite, resolveFfmpegPath, isFf
 
             return {
                 success: true,
+                exitCode: 0,
                 output: outText || errText || "Command executed successfully",
                 error: errText
             };
         } catch (error) {
+            if (error?.cancelled) {
+                return { success: false, cancelled: true, error: "Cancelled by user (process killed).", output: "" };
+            }
             return {
                 success: false,
+                exitCode: Number.isInteger(error?.code) ? error.code : null,
                 error: error.message,
                 output: error.stdout || ""
             };
         }
     }
 
+    // Detached from the run: /cancel does not stop it, /kill <id> does.
+    function startBackgroundJob(cmd, { label, cwd }, ctx) {
+        if (!jobs) return { success: false, error: "Background jobs are not available.", output: "" };
+        const job = jobs.start({
+            cmd,
+            cwd: resolveCommandCwd(cwd),
+            chatId: ctx?.chatId,
+            userId: ctx?.userId,
+            label: label.replace(/\s+/g, " ").trim(),
+            onExit: async (done) => {
+                if (ctx?.chatId == null || typeof ctx.sendLongMessage !== "function") return;
+                const tail = await jobs.tail(done.id, 10);
+                await ctx.sendLongMessage(ctx.chatId, formatJobFinished(done, Boolean(tail)));
+                if (tail) await ctx.sendLongMessage(ctx.chatId, tail, { format: "code" });
+            }
+        });
+        return {
+            success: true,
+            background: true,
+            job_id: job.id,
+            pid: job.pid,
+            log_path: job.logPath,
+            output: `Started background job #${job.id} (pid ${job.pid ?? "?"}). Output is written to ${job.logPath}; the user is notified when it ends. Use check_job to see progress.`
+        };
+    }
+
+    async function checkJob({ job_id, tail_lines = 20 } = {}, ctx) {
+        if (!jobs) return { success: false, error: "Background jobs are not available.", output: "" };
+        const sameChat = (job) => ctx?.chatId == null || job.chatId?.toString() === ctx.chatId.toString();
+        if (job_id == null) {
+            const list = jobs.list(ctx?.chatId).slice(0, 10);
+            return {
+                success: true,
+                jobs: list.map((j) => ({ job_id: j.id, status: j.status, exit_code: j.exitCode, label: j.label })),
+                output: list.length ? list.map((j) => `#${j.id} ${describeStatus(j)}: ${j.label}`).join("\n") : "No background jobs in this chat."
+            };
+        }
+        const job = jobs.get(Math.floor(Number(job_id)));
+        if (!job || !sameChat(job)) return { success: false, error: `No background job #${job_id} in this chat.`, output: "" };
+        const lines = Math.max(1, Math.min(200, Math.floor(Number(tail_lines)) || 20));
+        const logTail = await jobs.tail(job.id, lines);
+        return {
+            success: true,
+            job_id: job.id,
+            status: job.status,
+            exit_code: job.exitCode,
+            started_at: job.startedAt,
+            ended_at: job.endedAt,
+            log_path: job.logPath,
+            output: `#${job.id} ${describeStatus(job)}\n${logTail || "(no output yet)"}`
+        };
+    }
+
+    // Roots send_file may read from: the data folder plus config.sendFileRoots ("~" = home folder).
+    // sendFileRefusal() then carves out state/ and other chats' uploads.
+    async function allowedSendRoots() {
+        const roots = [DATA_DIR, ...sendFileRoots]
+            .map((r) => (r ?? "").toString().trim())
+            .filter(Boolean)
+            .map((r) => (r === "~" || r.startsWith("~/") || r.startsWith("~\\") ? path.join(os.homedir(), r.slice(1)) : r))
+            .map((r) => path.resolve(r));
+        // Compare real paths so a symlink/junction inside a root cannot point outside it.
+        return await Promise.all(roots.map((r) => fs.promises.realpath(r).catch(() => r)));
+    }
+
+    function isInsideRoot(target, root) {
+        const norm = (p) => (process.platform === "win32" ? p.toLowerCase() : p);
+        const rel = path.relative(norm(root), norm(target));
+        return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+    }
+
+    // Bot state and other chats' uploads are never sent, even from inside an allowed root; only
+    // the requesting chat's own uploads folder is. A folder that contains either is refused too,
+    // since zipping it would include them.
+    async function sendFileRefusal(real, isDirectory, ctx) {
+        const realOf = (p) => fs.promises.realpath(p).catch(() => path.resolve(p));
+        const [stateDir, uploadsDir, ownUploads] = await Promise.all([
+            realOf(path.join(DATA_DIR, "state")),
+            realOf(path.join(DATA_DIR, "uploads")),
+            uploadsDirFor && ctx?.chatId != null ? realOf(uploadsDirFor(ctx.chatId)) : null
+        ]);
+        if (isInsideRoot(real, stateDir) || (isDirectory && isInsideRoot(stateDir, real))) {
+            return "The bot's state folder cannot be sent.";
+        }
+        const ownUpload = ownUploads && isInsideRoot(real, ownUploads);
+        if ((isInsideRoot(real, uploadsDir) && !ownUpload) || (isDirectory && isInsideRoot(uploadsDir, real))) {
+            return "Only this chat's own uploads can be sent.";
+        }
+        return null;
+    }
+
+    async function zipDirectory(dir, ctx) {
+        const outDir = path.join(TMP_DIR, "send_file");
+        await fs.promises.mkdir(outDir, { recursive: true });
+        const zipPath = path.join(outDir, `${path.basename(dir) || "folder"}-${Date.now()}.zip`);
+        if (process.platform === "win32") {
+            const quote = (p) => `'${p.replace(/'/g, "''")}'`;
+            const script = `Compress-Archive -Path ${quote(path.join(dir, "*"))} -DestinationPath ${quote(zipPath)} -Force`;
+            await execCancellable(
+                `"${getPowerShellExe()}" -NoProfile -NonInteractive -ExecutionPolicy Bypass -EncodedCommand ${toPowerShellEncodedCommand(script)}`,
+                { timeout: 10 * 60 * 1000, windowsHide: true, maxBuffer: 2 * 1024 * 1024 },
+                ctx?.signal
+            );
+        } else {
+            await execCancellable(`zip -r -q "${zipPath}" .`, { cwd: dir, timeout: 10 * 60 * 1000, maxBuffer: 2 * 1024 * 1024 }, ctx?.signal);
+        }
+        return zipPath;
+    }
+
+    // file.001, file.002, ... (join on Windows with: copy /b file.001+file.002 file)
+    async function splitFile(filePath, size) {
+        const outDir = path.join(TMP_DIR, "send_file", `${path.basename(filePath)}-${Date.now()}`);
+        await fs.promises.mkdir(outDir, { recursive: true });
+        const parts = [];
+        for (let start = 0, n = 1; start < size; start += SPLIT_PART_BYTES, n++) {
+            const partPath = path.join(outDir, `${path.basename(filePath)}.${String(n).padStart(3, "0")}`);
+            await new Promise((resolve, reject) => {
+                fs.createReadStream(filePath, { start, end: Math.min(size, start + SPLIT_PART_BYTES) - 1 })
+                    .on("error", reject)
+                    .pipe(fs.createWriteStream(partPath))
+                    .on("error", reject)
+                    .on("finish", resolve);
+            });
+            parts.push(partPath);
+        }
+        return parts;
+    }
+
+    async function deliverFile(filePath, size, caption, ctx) {
+        const ext = path.extname(filePath).toLowerCase();
+        const options = caption ? { caption: caption.slice(0, 1024) } : {};
+        if (PHOTO_EXTENSIONS.has(ext) && size <= TELEGRAM_PHOTO_LIMIT && ctx.safeSendPhoto) {
+            if (await ctx.safeSendPhoto(ctx.chatId, filePath, options)) return { as: "photo", ok: true };
+            // Telegram rejects photos with extreme aspect ratios or over 10000 px in total; the
+            // same file still goes through as a document.
+        }
+        if (AUDIO_EXTENSIONS.has(ext) && ctx.safeSendAudio) {
+            return { as: "audio", ok: await ctx.safeSendAudio(ctx.chatId, filePath, options) };
+        }
+        return { as: "document", ok: await ctx.safeSendDocument(ctx.chatId, filePath, options) };
+    }
+
+    async function sendFile({ paths, caption, split = false } = {}, ctx) {
+        if (!ctx?.chatId || typeof ctx.safeSendDocument !== "function") {
+            return { success: false, error: "No chat to send files to.", output: "" };
+        }
+        const list = (Array.isArray(paths) ? paths : [paths]).map((p) => (p ?? "").toString().trim()).filter(Boolean);
+        if (!list.length) return { success: false, error: "No paths provided.", output: "" };
+        if (list.length > MAX_SEND_PATHS) return { success: false, error: `At most ${MAX_SEND_PATHS} paths per call.`, output: "" };
+
+        const roots = await allowedSendRoots();
+        const sent = [];
+        const errors = [];
+        let captionLeft = caption || "";
+        for (const requested of list) {
+            if (ctx.signal?.aborted) return { success: false, cancelled: true, error: "Cancelled by user.", output: "" };
+            const resolved = resolveDataPath(requested);
+            let real;
+            let st;
+            try {
+                real = await fs.promises.realpath(resolved);
+                st = await fs.promises.stat(real);
+            } catch (_) {
+                errors.push({ path: requested, error: "Not found." });
+                continue;
+            }
+            if (!roots.some((root) => isInsideRoot(real, root))) {
+                errors.push({ path: requested, error: `Outside the allowed folders (${roots.join(", ")}). Add a root to sendFileRoots in config.json to allow it.` });
+                continue;
+            }
+            const refusal = await sendFileRefusal(real, st.isDirectory(), ctx);
+            if (refusal) {
+                errors.push({ path: requested, error: refusal });
+                continue;
+            }
+
+            let filePath = real;
+            let size = st.size;
+            if (st.isDirectory()) {
+                try {
+                    filePath = await zipDirectory(real, ctx);
+                    size = (await fs.promises.stat(filePath)).size;
+                } catch (e) {
+                    if (e?.cancelled) return { success: false, cancelled: true, error: "Cancelled by user.", output: "" };
+                    errors.push({ path: requested, error: `Could not zip the folder: ${e?.message || e}` });
+                    continue;
+                }
+            } else if (!st.isFile()) {
+                errors.push({ path: requested, error: "Not a regular file or folder." });
+                continue;
+            }
+
+            let files = [filePath];
+            if (size > TELEGRAM_UPLOAD_LIMIT) {
+                const partCount = Math.ceil(size / SPLIT_PART_BYTES);
+                const mb = (size / 1024 / 1024).toFixed(1);
+                if (!split) {
+                    errors.push({ path: requested, error: `${mb} MB is over Telegram's 50 MB limit. Retry with split=true to send ${partCount} parts, or compress it first.` });
+                    continue;
+                }
+                if (partCount > MAX_SPLIT_PARTS) {
+                    errors.push({ path: requested, error: `${mb} MB would need ${partCount} parts; the limit is ${MAX_SPLIT_PARTS}.` });
+                    continue;
+                }
+                files = await splitFile(filePath, size);
+                captionLeft = [captionLeft, `${path.basename(filePath)} in ${files.length} parts. Join on Windows: copy /b ${files.map((f) => path.basename(f)).join("+")} "${path.basename(filePath)}"`]
+                    .filter(Boolean).join("\n");
+            }
+
+            for (const f of files) {
+                const fSize = f === filePath ? size : (await fs.promises.stat(f)).size;
+                const { as, ok } = await deliverFile(f, fSize, captionLeft, ctx);
+                captionLeft = "";
+                if (ok) sent.push({ path: requested, file: path.basename(f), as, bytes: fSize });
+                else errors.push({ path: requested, error: `Telegram did not accept ${path.basename(f)}.` });
+            }
+        }
+
+        const lines = [
+            ...sent.map((s) => `sent ${s.file} as ${s.as} (${s.bytes} bytes)`),
+            ...errors.map((e) => `not sent ${e.path}: ${e.error}`)
+        ];
+        return {
+            success: sent.length > 0 && errors.length === 0,
+            sent,
+            errors,
+            error: errors.length ? errors.map((e) => `${e.path}: ${e.error}`).join("; ") : undefined,
+            output: lines.join("\n")
+        };
+    }
+
     async function takeScreenshot({ caption, file_path } = {}, ctx) {
         const chatId = ctx?.chatId;
         const safeSendPhoto = ctx?.safeSendPhoto;
@@ -656,7 +961,7 @@ Write-Output $outPath
             script: psScript,
             shell: "powershell",
             timeout_ms: 60000
-        });
+        }, ctx);
 
         if (!execResult.success) {
             return { success: false, error: execResult.error || "Screenshot failed", output: execResult.output || "" };
@@ -786,8 +1091,9 @@ Write-Output $outPath
         const cmd = `${exe} ${args.map(a => (a.includes(" ") ? `"${a.replace(/"/g, '\\"')}"` : a)).join(" ")}`;
 
         try {
-            await execPromise(cmd, { timeout: 30000, windowsHide: true, maxBuffer: 2 * 1024 * 1024, cwd: DATA_DIR });
+            await execCancellable(cmd, { timeout: 30000, windowsHide: true, maxBuffer: 2 * 1024 * 1024, cwd: DATA_DIR }, ctx?.signal);
         } catch (e) {
+            if (e?.cancelled) return { success: false, cancelled: true, error: "Cancelled by user (ffmpeg killed).", output: "" };
             return { success: false, error: `Webcam capture failed: ${e?.message || String(e)}`, output: "" };
         }
 
@@ -805,7 +1111,9 @@ Write-Output $outPath
         }
     }
 
-    async function runHealer() {
+    async function runHealer(ctx) {
+        const signal = ctx?.signal;
+        if (signal?.aborted) return { success: false, cancelled: true, error: "Cancelled by user.", output: "" };
         if (HEALER_RAN_THIS_PROCESS.ran) {
             return {
                 success: true,
@@ -827,6 +1135,12 @@ Write-Output $outPath
             });
             let stdout = "";
             let stderr = "";
+            let cancelled = false;
+            const onAbort = () => {
+                cancelled = true;
+                killProcessTree(child);
+            };
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
             child.stdout.on("data", (d) => { stdout += d.toString(); });
             child.stderr.on("data", (d) => { stderr += d.toString(); });
             const timer = setTimeout(() => {
@@ -840,8 +1154,13 @@ Write-Output $outPath
             }, timeoutMs);
             child.on("close", (code) => {
                 clearTimeout(timer);
+                if (signal) signal.removeEventListener("abort", onAbort);
                 HEALER_RAN_THIS_PROCESS.ran = true;
                 const out = (stdout + "\n" + stderr).trim();
+                if (cancelled) {
+                    resolve({ success: false, cancelled: true, error: "Cancelled by user (healer killed).", output: out.slice(-4000) });
+                    return;
+                }
                 resolve({
                     success: code === 0,
                     exitCode: code,
@@ -850,14 +1169,42 @@ Write-Output $outPath
             });
             child.on("error", (err) => {
                 clearTimeout(timer);
+                if (signal) signal.removeEventListener("abort", onAbort);
                 HEALER_RAN_THIS_PROCESS.ran = true;
                 resolve({ success: false, error: err.message, output: (stdout + "\n" + stderr).trim() });
             });
         });
     }
 
+    function resolveCommandCwd(cwd) {
+        return cwd ? (path.isAbsolute(cwd) ? cwd : path.resolve(cwd)) : DATA_DIR;
+    }
+
+    // Evaluate config.commandPolicy for a tool call. Only execute_command is policy-controlled;
+    // every other tool is allowed here (and may still be gated by the approval settings).
+    function checkPolicy(name, input, ctx) {
+        if (name !== "execute_command") return { action: "allow", rule: null, reason: "" };
+        const i = input || {};
+        const subject = {
+            command: typeof i.command === "string" ? i.command : "",
+            script: typeof i.script === "string" ? i.script : "",
+            shell: detectShell({ shell: i.shell, command: i.command, script: i.script, use_powershell: i.use_powershell }),
+            cwd: resolveCommandCwd(i.cwd),
+            userId: ctx?.userId
+        };
+        return { ...evaluateCommandPolicy(loadConfig().commandPolicy, subject), subject };
+    }
+
     async function runTool(name, input, ctx) {
-        if (name === "execute_command") return await executeCommand(input || {});
+        if (name === "execute_command") {
+            // Policy runs before anything is spawned. `ctx.approved` is set by the caller once the
+            // user approved this exact input, which satisfies require_approval (but never deny).
+            const decision = checkPolicy(name, input, ctx);
+            if (decision.action === "deny" || (decision.action === "require_approval" && ctx?.approved !== true)) {
+                return policyBlockedResult(decision);
+            }
+            return await executeCommand(input || {}, ctx);
+        }
         if (name === "take_screenshot") return await takeScreenshot(input || {}, ctx);
         if (name === "capture_webcam_photo") return await captureWebcamPhoto(input || {}, ctx);
         if (name === "browse_website") {
@@ -866,14 +1213,18 @@ Write-Output $outPath
             }
             return await browseWebsite(input || {}, ctx);
         }
-        if (name === "run_healer") return await runHealer();
+        if (name === "run_healer") return await runHealer(ctx);
+        if (name === "check_job") return await checkJob(input || {}, ctx);
+        if (name === "send_file") return await sendFile(input || {}, ctx);
         return { success: false, error: `Unknown tool: ${name}` };
     }
 
     return {
         tools,
         runTool,
+        checkPolicy,
         executeCommand,
+        sendFile,
         takeScreenshot,
         captureWebcamPhoto
     };
@@ -0,0 +1,35 @@
+const { createProgressMessage } = require("./progress");
+
+// A transport is where a run's output goes and where its approvals come from. The agent loop
+// (processWithClaude / handleUserText in telegram.js) and the tools only talk to this shape:
+//
+//   safeSendMessage(chatId, text, options)        -> sent message ({ message_id }) or false
+//   safeEditMessage(chatId, messageId, text, options)
+//   safeSendPhoto(chatId, photoPath, options)
+//   safeSendDocument(chatId, docPath, options)
+//   safeSendAudio(chatId, audioPath, options)
+//   sendLongMessage(chatId, text, { format })      format: "markdown" | "code" | "plain" (default)
+//   createProgress({ chatId, title })             -> { start, step(name, input) -> { done(result) }, finish(status) }
+//   requestApproval(chatId, toolName, input, { note, signal })
+//                                                 -> { approved, status, input, edited }
+//   requestStep(chatId, toolName, input, { index, reason, note, signal })
+//                                                 -> { action: "next" | "skip" | "stop" | "timeout" | "cancelled" }
+//
+// Implemented by the Telegram bot (below) and the local HTTP API (api.js).
+
+function createTelegramTransport({ safeSendMessage, safeEditMessage, safeSendPhoto, safeSendDocument, safeSendAudio, sendLongMessage, approvals, stepper }) {
+    return {
+        name: "telegram",
+        safeSendMessage,
+        safeEditMessage,
+        safeSendPhoto,
+        safeSendDocument,
+        safeSendAudio,
+        sendLongMessage,
+        createProgress: ({ chatId, title }) => createProgressMessage({ chatId, safeSendMessage, safeEditMessage, title }),
+        requestApproval: (chatId, toolName, input, options) => approvals.requestApproval(chatId, toolName, input, options),
+        requestStep: (chatId, toolName, input, options) => stepper.requestStep(chatId, toolName, input, options)
+    };
+}
+
+module.exports = { createTelegramTransport };
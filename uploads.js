@@ -0,0 +1,86 @@
+const fs = require("fs");
+const path = require("path");
+
+// Telegram's Bot API only lets bots download files up to 20 MB.
+const TELEGRAM_DOWNLOAD_LIMIT = 20 * 1024 * 1024;
+
+function safeName(name) {
+    const base = path.basename((name || "").toString()).replace(/[^A-Za-z0-9 _.()-]/g, "_").trim();
+    return base.replace(/^\.+/, "").slice(0, 120) || "file";
+}
+
+function formatBytes(n) {
+    if (!Number.isFinite(n)) return "?";
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Documents sent to the bot are kept in DATA_DIR/uploads/<chat>/ (removed after
+// uploadRetentionHours, not the general data retention). `allowedExtensions` is a list like [".zip", ".csv"] or "*" for any type.
+function createUploadStore({ DATA_DIR, maxBytes = TELEGRAM_DOWNLOAD_LIMIT, allowedExtensions = "*" } = {}) {
+    const UPLOADS_DIR = path.join(DATA_DIR, "uploads");
+    const limit = Math.min(maxBytes, TELEGRAM_DOWNLOAD_LIMIT);
+    const allowAll = allowedExtensions === "*" || (Array.isArray(allowedExtensions) && allowedExtensions.includes("*"));
+    const allowed = new Set((Array.isArray(allowedExtensions) ? allowedExtensions : [])
+        .map((e) => e.toString().toLowerCase().trim())
+        .map((e) => (e.startsWith(".") ? e : `.${e}`)));
+
+    function dirFor(chatId) {
+        return path.join(UPLOADS_DIR, chatId.toString().replace(/[^A-Za-z0-9_.-]/g, "_"));
+    }
+
+    // Returns an error message for the user, or null if the upload may be downloaded.
+    function check({ fileName, fileSize }) {
+        if (Number.isFinite(fileSize) && fileSize > limit) {
+            return `File is too large (${formatBytes(fileSize)}); the limit is ${formatBytes(limit)}.`;
+        }
+        const ext = path.extname(fileName || "").toLowerCase();
+        if (!allowAll && !allowed.has(ext)) {
+            return `Files of type "${ext || "(no extension)"}" are not accepted. Allowed: ${[...allowed].join(" ") || "none"} (uploadAllowedExtensions in config.json).`;
+        }
+        return null;
+    }
+
+    // Move a downloaded temp file into the chat's uploads folder under its original name.
+    async function save(chatId, tempPath, originalName) {
+        const { size } = await fs.promises.stat(tempPath);
+        if (size > limit) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw new Error(`File is too large (${formatBytes(size)}); the limit is ${formatBytes(limit)}.`);
+        }
+        const dir = dirFor(chatId);
+        await fs.promises.mkdir(dir, { recursive: true });
+        // Milliseconds plus a short random suffix, so two same-name uploads never collide.
+        const stamp = `${new Date().toISOString().replace(/[-:]/g, "").replace(/Z$/, "")}-${Math.random().toString(16).slice(2, 6)}`;
+        const dest = path.join(dir, `${stamp}-${safeName(originalName || path.basename(tempPath))}`);
+        try {
+            await fs.promises.rename(tempPath, dest);
+        } catch (e) {
+            if (e.code !== "EXDEV") throw e;
+            await fs.promises.copyFile(tempPath, dest);
+            await fs.promises.unlink(tempPath).catch(() => {});
+        }
+        return { path: dest, size };
+    }
+
+    return { UPLOADS_DIR, dirFor, check, save, limit };
+}
+
+// "for 7 days", "for 12 hours", or "until deleted" when `hours` is 0.
+function formatRetention(hours) {
+    if (!(hours > 0)) return "until deleted";
+    if (hours % 24 === 0) return `for ${hours / 24} day${hours === 24 ? "" : "s"}`;
+    return `for ${hours} hour${hours === 1 ? "" : "s"}`;
+}
+
+// What the agent sees about an uploaded file.
+function describeUpload({ path: filePath, name, mimeType, size, retentionHours }) {
+    return [
+        `File uploaded by the user, saved at: ${filePath}`,
+        `Original name: ${name || "(none)"}, type: ${mimeType || "unknown"}, size: ${formatBytes(size)}`,
+        retentionHours != null ? `The file is kept ${formatRetention(retentionHours)}.` : null
+    ].filter(Boolean).join("\n");
+}
+
+module.exports = { createUploadStore, describeUpload, formatBytes, formatRetention, TELEGRAM_DOWNLOAD_LIMIT };
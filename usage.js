@@ -0,0 +1,234 @@
+const fs = require("fs");
+const path = require("path");
+
+const { sanitizeError } = require("./utils");
+
+// Days older than this are dropped from usage.json (monthly totals only need the current month).
+const KEEP_DAYS = 400;
+
+function emptyBucket() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, seconds: 0, costUsd: 0 };
+}
+
+function addTo(bucket, u, costUsd) {
+    bucket.requests += 1;
+    bucket.inputTokens += u.inputTokens;
+    bucket.outputTokens += u.outputTokens;
+    bucket.cacheWriteTokens += u.cacheWriteTokens;
+    bucket.cacheReadTokens += u.cacheReadTokens;
+    bucket.seconds += u.seconds;
+    bucket.costUsd += costUsd;
+}
+
+function sumBuckets(buckets) {
+    const out = emptyBucket();
+    for (const b of buckets) {
+        if (!b) continue;
+        for (const k of Object.keys(out)) out[k] += Number(b[k]) || 0;
+    }
+    return out;
+}
+
+// Local calendar day, so "today" matches the machine the bot runs on.
+function dayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Accepts the `usage` object of Anthropic messages, OpenAI responses / chat completions /
+// transcriptions, or the browser-use runner, and returns one shape.
+function normalizeUsage(raw = {}) {
+    const n = (v) => Math.max(0, Number(v) || 0);
+    const cachedOpenAI = n(raw.input_tokens_details?.cached_tokens ?? raw.prompt_tokens_details?.cached_tokens ?? raw.cached_tokens);
+    const input = n(raw.input_tokens ?? raw.prompt_tokens);
+    return {
+        // OpenAI counts cached tokens inside input_tokens; Anthropic reports them separately.
+        inputTokens: Math.max(0, input - cachedOpenAI),
+        outputTokens: n(raw.output_tokens ?? raw.completion_tokens),
+        cacheWriteTokens: n(raw.cache_creation_input_tokens),
+        cacheReadTokens: n(raw.cache_read_input_tokens) + cachedOpenAI,
+        seconds: raw.type === "duration" ? n(raw.seconds) : 0
+    };
+}
+
+// Prices are USD per million tokens (and per minute of audio for duration-billed models).
+// Keys match by longest prefix, so "claude-sonnet-4-5" covers every dated snapshot.
+function priceFor(prices, model) {
+    const name = (model || "").toString();
+    let best = null;
+    for (const key of Object.keys(prices || {})) {
+        if (name.startsWith(key) && (!best || key.length > best.length)) best = key;
+    }
+    return best ? prices[best] : null;
+}
+
+function costOf(price, u) {
+    if (!price) return 0;
+    const input = Number(price.input) || 0;
+    const cacheWrite = price.cacheWrite != null ? Number(price.cacheWrite) || 0 : input * 1.25;
+    const cacheRead = price.cacheRead != null ? Number(price.cacheRead) || 0 : input * 0.1;
+    return (
+        (u.inputTokens * input +
+            u.outputTokens * (Number(price.output) || 0) +
+            u.cacheWriteTokens * cacheWrite +
+            u.cacheReadTokens * cacheRead) / 1e6 +
+        (u.seconds / 60) * (Number(price.perMinute) || 0)
+    );
+}
+
+// Usage per day, broken down by user, chat and model, stored in DATA_DIR/state/usage.json.
+function createUsageTracker({ DATA_DIR, prices = {}, budgets = {} } = {}) {
+    const FILE = path.join(DATA_DIR, "state", "usage.json");
+    let data = { days: {} };
+    let writing = Promise.resolve();
+
+    try {
+        if (fs.existsSync(FILE)) data = JSON.parse(fs.readFileSync(FILE, "utf8")) || { days: {} };
+        if (!data.days || typeof data.days !== "object") data.days = {};
+    } catch (e) {
+        console.warn("[usage] Could not load usage.json:", e?.message || e);
+    }
+
+    function persist() {
+        const cutoff = dayKey(new Date(Date.now() - KEEP_DAYS * 24 * 60 * 60 * 1000));
+        for (const day of Object.keys(data.days)) {
+            if (day < cutoff) delete data.days[day];
+        }
+        const snapshot = JSON.stringify(data);
+        writing = writing.then(async () => {
+            try {
+                await fs.promises.mkdir(path.dirname(FILE), { recursive: true });
+                const tmpPath = `${FILE}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tmpPath, snapshot, "utf8");
+                await fs.promises.rename(tmpPath, FILE);
+            } catch (e) {
+                console.warn("[usage_write_failed]", sanitizeError(e));
+            }
+        });
+        return writing;
+    }
+
+    // Returns the cost in USD of this call (0 when the model has no configured price).
+    function record({ model, userId, chatId, usage }) {
+        if (!usage) return 0;
+        const u = normalizeUsage(usage);
+        const costUsd = costOf(priceFor(prices, model), u);
+        const key = dayKey();
+        const day = data.days[key] || (data.days[key] = { all: emptyBucket(), users: {}, chats: {}, models: {} });
+        const slot = (group, id) => group[id] || (group[id] = emptyBucket());
+        addTo(day.all, u, costUsd);
+        if (userId != null) addTo(slot(day.users, userId.toString()), u, costUsd);
+        if (chatId != null) addTo(slot(day.chats, chatId.toString()), u, costUsd);
+        addTo(slot(day.models, (model || "unknown").toString()), u, costUsd);
+        persist();
+        return costUsd;
+    }
+
+    function daysIn(period) {
+        const today = dayKey();
+        const prefix = period === "month" ? today.slice(0, 7) : today;
+        return Object.keys(data.days).filter((d) => d.startsWith(prefix)).map((d) => data.days[d]);
+    }
+
+    // scope: "all" | "user" | "chat"; period: "day" | "month"
+    function totals({ scope = "all", id = null, period = "day" } = {}) {
+        const days = daysIn(period);
+        if (scope === "all") return sumBuckets(days.map((d) => d.all));
+        const group = scope === "user" ? "users" : "chats";
+        return sumBuckets(days.map((d) => d[group]?.[id?.toString()]));
+    }
+
+    // Per-key totals for a period, e.g. breakdown("users", "month"), most expensive first.
+    function breakdown(group, period = "month") {
+        const keys = new Set();
+        const days = daysIn(period);
+        for (const d of days) Object.keys(d[group] || {}).forEach((k) => keys.add(k));
+        return [...keys]
+            .map((k) => ({ key: k, ...sumBuckets(days.map((d) => d[group]?.[k])) }))
+            .sort((a, b) => b.costUsd - a.costUsd);
+    }
+
+    function limitsFor(userId) {
+        const override = (budgets.users && userId != null && budgets.users[userId.toString()]) || {};
+        return [
+            { scope: "bot", period: "day", limitUsd: Number(budgets.dailyUsd) || 0 },
+            { scope: "bot", period: "month", limitUsd: Number(budgets.monthlyUsd) || 0 },
+            { scope: "user", period: "day", limitUsd: Number(override.dailyUsd ?? budgets.userDailyUsd) || 0 },
+            { scope: "user", period: "month", limitUsd: Number(override.monthlyUsd ?? budgets.userMonthlyUsd) || 0 }
+        ];
+    }
+
+    // First exceeded cap for this user ({ scope, period, spentUsd, limitUsd }), or null. 0 = no cap.
+    function checkBudget(userId) {
+        for (const limit of limitsFor(userId)) {
+            if (!(limit.limitUsd > 0)) continue;
+            if (limit.scope === "user" && userId == null) continue;
+            const spentUsd = limit.scope === "bot"
+                ? totals({ scope: "all", period: limit.period }).costUsd
+                : totals({ scope: "user", id: userId, period: limit.period }).costUsd;
+            if (spentUsd >= limit.limitUsd) return { ...limit, spentUsd };
+        }
+        return null;
+    }
+
+    return { FILE, record, totals, breakdown, checkBudget, limitsFor };
+}
+
+function formatUsd(n) {
+    return `$${(Number(n) || 0).toFixed(n > 0 && n < 0.01 ? 4 : 2)}`;
+}
+
+function formatBucket(b) {
+    const parts = [
+        `${formatUsd(b.costUsd)}`,
+        `${b.requests} call(s)`,
+        `${b.inputTokens + b.cacheReadTokens + b.cacheWriteTokens} in / ${b.outputTokens} out tokens`
+    ];
+    if (b.seconds) parts.push(`${Math.round(b.seconds)}s audio`);
+    return parts.join(", ");
+}
+
+function formatBudgetExceeded(hit) {
+    const who = hit.scope === "bot" ? "The bot's" : "Your";
+    const period = hit.period === "day" ? "daily" : "monthly";
+    return `${who} ${period} budget is used up (${formatUsd(hit.spentUsd)} of ${formatUsd(hit.limitUsd)}).`;
+}
+
+// Text for /usage. `includeAll` adds bot-wide totals and per-user / per-model breakdowns (admins).
+function formatUsageReport(tracker, { userId, chatId, includeAll = false } = {}) {
+    const line = (label, scope, id) => [
+        `${label}:`,
+        `  today: ${formatBucket(tracker.totals({ scope, id, period: "day" }))}`,
+        `  this month: ${formatBucket(tracker.totals({ scope, id, period: "month" }))}`
+    ].join("\n");
+    const sections = [line("You", "user", userId), line("This chat", "chat", chatId)];
+    if (includeAll) {
+        sections.push(line("Bot total", "all"));
+        const top = (group, label) => {
+            const rows = tracker.breakdown(group, "month").slice(0, 5);
+            return rows.length ? [`${label} this month:`, ...rows.map((r) => `  ${r.key}: ${formatBucket(r)}`)].join("\n") : null;
+        };
+        sections.push(top("users", "Top users"), top("models", "By model"));
+    }
+    const caps = tracker.limitsFor(userId)
+        .filter((l) => l.limitUsd > 0 && (includeAll || l.scope === "user"))
+        .map((l) => {
+            const spent = l.scope === "bot"
+                ? tracker.totals({ scope: "all", period: l.period }).costUsd
+                : tracker.totals({ scope: "user", id: userId, period: l.period }).costUsd;
+            return `  ${l.scope === "bot" ? "bot" : "you"} ${l.period === "day" ? "daily" : "monthly"}: ${formatUsd(spent)} of ${formatUsd(l.limitUsd)}`;
+        });
+    if (caps.length) sections.push(["Budgets:", ...caps].join("\n"));
+    return sections.filter(Boolean).join("\n\n");
+}
+
+module.exports = {
+    createUsageTracker,
+    formatUsageReport,
+    normalizeUsage,
+    priceFor,
+    costOf,
+    formatUsd,
+    formatBucket,
+    formatBudgetExceeded
+};
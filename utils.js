@@ -1,23 +1,150 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const { exec, spawn } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const util = require("util");
 
+const { formatChunks } = require("./format");
+
 const execPromise = util.promisify(exec);
 
-function spawnWithStdin(command, args, stdinText, { timeoutMs = 600000, cwd, env } = {}) {
+function cancelledError() {
+    const err = new Error("Cancelled by user");
+    err.cancelled = true;
+    return err;
+}
+
+// Outside Windows, commands get their own process group (`detached`) so that killProcessTree can
+// signal the group: killing only the `sh -c` wrapper leaves the actual command running.
+const PROCESS_GROUP = process.platform === "win32" ? {} : { detached: true };
+const KILL_GRACE_MS = 3000;
+
+// Groups started through execCancellable / spawnWithStdin that may still be running. They no
+// longer get the terminal's Ctrl+C, so they are killed when the bot exits.
+const liveGroups = new Set();
+
+function trackGroup(child) {
+    if (!PROCESS_GROUP.detached || !child?.pid) return;
+    liveGroups.add(child.pid);
+    child.once("exit", () => liveGroups.delete(child.pid));
+}
+
+function signalGroup(pid, sig) {
+    try {
+        process.kill(-pid, sig);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+// Kill a child process and everything it started. On Windows, killing cmd.exe/powershell.exe
+// alone leaves grandchildren running, so use taskkill /T. Elsewhere the child's process group
+// gets SIGTERM, then SIGKILL after a grace period.
+function killProcessTree(child, { graceMs = KILL_GRACE_MS } = {}) {
+    if (!child || !child.pid) return;
+    const running = child.exitCode === null && child.signalCode === null;
+    try {
+        if (process.platform === "win32") {
+            if (running) spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], { windowsHide: true, stdio: "ignore" });
+            return;
+        }
+        // The group can outlive its leader (e.g. `cmd &`), so it is signalled even after the child exited.
+        if (signalGroup(child.pid, "SIGTERM")) {
+            setTimeout(() => signalGroup(child.pid, "SIGKILL"), graceMs).unref();
+            return;
+        }
+        if (!running) return;
+        child.kill("SIGTERM");
+        setTimeout(() => {
+            if (child.exitCode === null && child.signalCode === null) child.kill("SIGKILL");
+        }, graceMs).unref();
+    } catch (_) {}
+}
+
+process.on("exit", () => {
+    for (const pid of liveGroups) signalGroup(pid, "SIGKILL");
+});
+
+// Like execPromise (resolves { stdout, stderr }, rejects with code / killed / stdout / stderr), but
+// kills the process tree and rejects with a `cancelled` error when `signal` aborts. Built on
+// spawn because exec cannot start the shell in its own process group; a `timeout` or an
+// exceeded `maxBuffer` also kills the whole tree, not just the shell.
+function execCancellable(command, options = {}, signal) {
+    if (signal?.aborted) return Promise.reject(cancelledError());
+    const { timeout = 0, maxBuffer = 1024 * 1024, cwd, env, windowsHide = true } = options || {};
     return new Promise((resolve, reject) => {
+        const child = spawn(command, { shell: true, cwd, env: env || process.env, windowsHide, ...PROCESS_GROUP });
+        trackGroup(child);
+        let stdout = "";
+        let stderr = "";
+        let killed = false;
+        let overflow = false;
+        const kill = () => {
+            killed = true;
+            killProcessTree(child);
+        };
+        const timer = timeout > 0 ? setTimeout(kill, timeout) : null;
+        if (signal) signal.addEventListener("abort", kill, { once: true });
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener("abort", kill);
+        };
+        const collect = (append) => (d) => {
+            append(d.toString());
+            if (!overflow && stdout.length + stderr.length > maxBuffer) {
+                overflow = true;
+                kill();
+            }
+        };
+        child.stdout.on("data", collect((t) => { stdout += t; }));
+        child.stderr.on("data", collect((t) => { stderr += t; }));
+        child.on("error", (err) => {
+            done();
+            reject(err);
+        });
+        child.on("close", (code, sig) => {
+            done();
+            if (signal?.aborted) return reject(cancelledError());
+            if (code === 0 && !killed) return resolve({ stdout, stderr });
+            const err = new Error(overflow ? "stdout maxBuffer length exceeded" : `Command failed: ${command}\n${stderr}`);
+            Object.assign(err, { code, killed, signal: sig, cmd: command, stdout, stderr });
+            reject(err);
+        });
+    });
+}
+
+function spawnWithStdin(command, args, stdinText, { timeoutMs = 600000, cwd, env, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(cancelledError());
+            return;
+        }
         const child = spawn(command, args, {
             windowsHide: true,
             cwd: cwd || undefined,
-            env: env || process.env
+            env: env || process.env,
+            ...PROCESS_GROUP
         });
+        trackGroup(child);
 
         let stdout = "";
         let stderr = "";
         let finished = false;
 
+        const onAbort = () => {
+            if (finished) return;
+            killProcessTree(child);
+            finished = true;
+            clearTimeout(killTimer);
+            reject(cancelledError());
+        };
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
         const killTimer = setTimeout(() => {
             if (finished) return;
-            try { child.kill(); } catch (_) {}
+            killProcessTree(child);
             reject(new Error(`Process timeout after ${timeoutMs}ms: ${command} ${args.join(" ")}`));
         }, timeoutMs);
 
@@ -26,12 +153,16 @@ function spawnWithStdin(command, args, stdinText, { timeoutMs = 600000, cwd, env
 
         child.on("error", (err) => {
             clearTimeout(killTimer);
+            if (signal) signal.removeEventListener("abort", onAbort);
+            if (finished) return;
             finished = true;
             reject(err);
         });
 
         child.on("close", (code) => {
             clearTimeout(killTimer);
+            if (signal) signal.removeEventListener("abort", onAbort);
+            if (finished) return;
             finished = true;
             resolve({ stdout, stderr, exitCode: code });
         });
@@ -51,8 +182,8 @@ function quoteExe(p) {
     return s.includes(" ") ? `"${s.replace(/"/g, '\\"')}"` : s;
 }
 
-async function runPythonCommand(py, args, { timeoutMs = 5 * 60 * 1000, env } = {}) {
-    return await spawnWithStdin(py, args, "", { timeoutMs, env });
+async function runPythonCommand(py, args, { timeoutMs = 5 * 60 * 1000, env, signal } = {}) {
+    return await spawnWithStdin(py, args, "", { timeoutMs, env, signal });
 }
 
 function sleep(ms) {
@@ -97,20 +228,99 @@ async function withRetries(fn, { retries = 5, baseDelayMs = 500, maxDelayMs = 15
     }
 }
 
-function createTelegramHelpers(bot) {
+function telegramErrorInfo(err) {
+    const body = err?.response?.body || {};
+    return {
+        status: err?.response?.statusCode || body.error_code,
+        description: (body.description || err?.message || "").toString(),
+        retryAfterSec: Number(body.parameters?.retry_after) || 0
+    };
+}
+
+// Forum topics keep their own conversation: their chat key is "<chatId>:<threadId>". History,
+// queue, settings, schedules and jobs are keyed by it; the send helpers split it back up.
+function chatKeyFor(chatId, threadId = null) {
+    return threadId ? `${chatId}:${threadId}` : chatId;
+}
+
+function parseChatKey(key) {
+    const m = /^(-?\d+):(\d+)$/.exec((key ?? "").toString());
+    return m ? { chatId: Number(m[1]), threadId: Number(m[2]) } : { chatId: key, threadId: null };
+}
+
+// In group chats the bot's output for a request replies to the message that triggered it:
+// everything sent to `chatKey` while `fn` runs (progress, prompts, files, the answer) is a reply
+// to `messageId`.
+const replyTarget = new AsyncLocalStorage();
+
+function withReplyTo(chatKey, messageId, fn) {
+    if (!messageId) return fn();
+    return replyTarget.run({ chatKey: chatKey.toString(), messageId }, fn);
+}
+
+// For work that runs later (queued requests): keep the reply target of the caller.
+function bindReplyTarget(fn) {
+    return AsyncLocalStorage.bind(fn);
+}
+
+// `html`: send Markdown/code as Telegram HTML (otherwise everything goes out as plain text).
+// `attachChars`: longer texts are sent as a preview plus a .txt document written to `tmpDir`.
+// `redact`: applied to every outgoing text and caption (see redact.js).
+function createTelegramHelpers(bot, { html = true, attachChars = 0, tmpDir = null, redact = (text) => text } = {}) {
+    const withCaption = (options) => (options?.caption ? { ...options, caption: redact(options.caption) } : options);
+
+    // Telegram chat id and options for a chat key: the forum topic and, inside withReplyTo(), the reply.
+    function route(chatKey, options) {
+        const { chatId, threadId } = parseChatKey(chatKey);
+        const out = { ...(options || {}) };
+        if (threadId && out.message_thread_id == null) out.message_thread_id = threadId;
+        const reply = replyTarget.getStore();
+        if (reply && reply.chatKey === (chatKey ?? "").toString() && out.reply_to_message_id == null) {
+            out.reply_to_message_id = reply.messageId;
+            out.allow_sending_without_reply = true;
+        }
+        return [chatId, out];
+    }
+
+    // Resolves to the sent Message (truthy) on success, false on failure.
     async function safeSendMessage(chatId, text, options) {
+        const [id, opts] = route(chatId, options);
         try {
-            await withRetries(() => bot.sendMessage(chatId, text, options), { retries: 4 });
-            return true;
+            return await withRetries(() => bot.sendMessage(id, redact(text), opts), { retries: 4 });
         } catch (e) {
             console.warn("[telegram_sendMessage_failed]", sanitizeError(e));
             return false;
         }
     }
 
+    // Edit a message in place. "message is not modified" counts as success, and Telegram's
+    // 429 rate limit is honoured by waiting `retry_after` seconds before trying again.
+    async function safeEditMessage(chatId, messageId, text, options) {
+        for (let attempt = 0; attempt < 4; attempt++) {
+            try {
+                await withRetries(
+                    () => bot.editMessageText(redact(text), { chat_id: parseChatKey(chatId).chatId, message_id: messageId, ...(options || {}) }),
+                    { retries: 2 }
+                );
+                return true;
+            } catch (e) {
+                const info = telegramErrorInfo(e);
+                if (/message is not modified/i.test(info.description)) return true;
+                if (info.status === 429 || info.retryAfterSec > 0) {
+                    await sleep(Math.min(60, info.retryAfterSec || 1) * 1000 + 250);
+                    continue;
+                }
+                console.warn("[telegram_editMessageText_failed]", sanitizeError(e));
+                return false;
+            }
+        }
+        return false;
+    }
+
     async function safeSendPhoto(chatId, photo, options) {
+        const [id, opts] = route(chatId, withCaption(options));
         try {
-            await withRetries(() => bot.sendPhoto(chatId, photo, options), { retries: 4 });
+            await withRetries(() => bot.sendPhoto(id, photo, opts), { retries: 4 });
             return true;
         } catch (e) {
             console.warn("[telegram_sendPhoto_failed]", sanitizeError(e));
@@ -119,8 +329,9 @@ function createTelegramHelpers(bot) {
     }
 
     async function safeSendDocument(chatId, doc, options) {
+        const [id, opts] = route(chatId, withCaption(options));
         try {
-            await withRetries(() => bot.sendDocument(chatId, doc, options), { retries: 4 });
+            await withRetries(() => bot.sendDocument(id, doc, opts), { retries: 4 });
             return true;
         } catch (e) {
             console.warn("[telegram_sendDocument_failed]", sanitizeError(e));
@@ -128,27 +339,75 @@ function createTelegramHelpers(bot) {
         }
     }
 
-    function chunkString(str, maxLen) {
-        const chunks = [];
-        for (let i = 0; i < str.length; i += maxLen) chunks.push(str.slice(i, i + maxLen));
-        return chunks;
+    async function safeSendAudio(chatId, audio, options) {
+        const [id, opts] = route(chatId, withCaption(options));
+        try {
+            await withRetries(() => bot.sendAudio(id, audio, opts), { retries: 4 });
+            return true;
+        } catch (e) {
+            console.warn("[telegram_sendAudio_failed]", sanitizeError(e));
+            return false;
+        }
     }
 
-    async function sendLongMessage(chatId, text) {
-        const safe = (text ?? "").toString();
+    // One chunk from formatChunks(). If Telegram rejects the HTML (400), resend it as plain text.
+    async function sendChunk(chatId, { text, html: markup }) {
+        if (!markup) return await safeSendMessage(chatId, text);
+        const [id, opts] = route(chatId, { parse_mode: "HTML", disable_web_page_preview: true });
+        try {
+            return await withRetries(
+                () => bot.sendMessage(id, markup, opts),
+                { retries: 4 }
+            );
+        } catch (e) {
+            if (telegramErrorInfo(e).status !== 400) {
+                console.warn("[telegram_sendMessage_failed]", sanitizeError(e));
+                return false;
+            }
+            console.warn("[telegram_html_rejected]", sanitizeError(e));
+            return await safeSendMessage(chatId, text);
+        }
+    }
+
+    // `format`: "markdown" (Claude replies), "code" (command output, monospace) or "plain".
+    // Chunks break at lines and keep code blocks intact; see format.js.
+    async function sendLongMessage(chatId, text, { format = "plain" } = {}) {
+        // Redacted before chunking, so the HTML markup and a .txt attachment are covered too.
+        const safe = redact((text ?? "").toString());
         if (!safe.trim()) {
             await safeSendMessage(chatId, "(no output)");
             return;
         }
-        // Telegram message limit is ~4096 chars; keep some buffer.
-        const parts = chunkString(safe, 3500);
-        for (const part of parts) {
-            const ok = await safeSendMessage(chatId, part);
+        const effective = html ? format : "plain";
+        if (attachChars > 0 && tmpDir && safe.length > attachChars) {
+            const [preview] = formatChunks(safe, effective, 1500);
+            await sendChunk(chatId, preview);
+            try {
+                const dir = path.join(tmpDir, "replies");
+                await fs.promises.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `reply-${Date.now()}.txt`);
+                await fs.promises.writeFile(file, safe, "utf8");
+                const lines = safe.split("\n").length;
+                if (await safeSendDocument(chatId, file, { caption: `Full text: ${lines} lines, ${safe.length} characters.` })) return;
+            } catch (e) {
+                console.warn("[telegram_attach_failed]", sanitizeError(e));
+            }
+            // The attachment failed: fall back to sending everything as messages.
+        }
+        for (const chunk of formatChunks(safe, effective)) {
+            const ok = await sendChunk(chatId, chunk);
             if (!ok) break;
         }
     }
 
-    return { safeSendMessage, safeSendPhoto, safeSendDocument, sendLongMessage };
+    return { safeSendMessage, safeEditMessage, safeSendPhoto, safeSendDocument, safeSendAudio, sendLongMessage };
+}
+
+// Constant-time string comparison for secrets and tokens.
+function safeEqual(a, b) {
+    const x = Buffer.from((a ?? "").toString());
+    const y = Buffer.from((b ?? "").toString());
+    return x.length === y.length && crypto.timingSafeEqual(x, y);
 }
 
 function installProcessGuards() {
@@ -159,10 +418,17 @@ function installProcessGuards() {
     process.on("uncaughtException", (err) => {
         console.warn("[uncaughtException]", sanitizeError(err));
     });
+    // Exit through process.exit so the "exit" handler kills running command groups.
+    process.once("SIGINT", () => process.exit(130));
+    process.once("SIGTERM", () => process.exit(143));
 }
 
 module.exports = {
     execPromise,
+    execCancellable,
+    killProcessTree,
+    PROCESS_GROUP,
+    cancelledError,
     spawnWithStdin,
     quoteExe,
     runPythonCommand,
@@ -171,5 +437,10 @@ module.exports = {
     isTransientNetworkError,
     withRetries,
     createTelegramHelpers,
+    chatKeyFor,
+    parseChatKey,
+    withReplyTo,
+    bindReplyTarget,
+    safeEqual,
     installProcessGuards
 };
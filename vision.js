@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+
+const { execCancellable } = require("./utils");
+
+// Claude accepts JPEG, PNG, GIF and WebP, at most 5 MB of base64 (about 3.75 MB of image) and
+// 8000 px per side. Images above ~1568 px on the long side are downscaled by the API anyway.
+const SUPPORTED_TYPES = new Set(["image/jpeg", "image/png", "image/gif", "image/webp"]);
+const HARD_MAX_SIDE = 8000;
+
+function detectImageType(buf) {
+    if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+    if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504e47) return "image/png";
+    if (buf.length >= 6 && buf.toString("ascii", 0, 3) === "GIF") return "image/gif";
+    if (buf.length >= 12 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+    return null;
+}
+
+// Reads width/height from the file header. null if the format or header is not understood.
+function imageSize(buf, mediaType) {
+    try {
+        if (mediaType === "image/png") return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+        if (mediaType === "image/gif") return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+        if (mediaType === "image/webp") {
+            const chunk = buf.toString("ascii", 12, 16);
+            if (chunk === "VP8 ") return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+            if (chunk === "VP8L") {
+                const [b0, b1, b2, b3] = buf.subarray(21, 25);
+                return { width: 1 + (((b1 & 0x3f) << 8) | b0), height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6)) };
+            }
+            if (chunk === "VP8X") return { width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+            return null;
+        }
+        if (mediaType === "image/jpeg") {
+            let i = 2;
+            while (i + 9 < buf.length) {
+                if (buf[i] !== 0xff) { i += 1; continue; }
+                const marker = buf[i + 1];
+                if (marker === 0xff) { i += 1; continue; }
+                // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+                if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                    return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+                }
+                if ((marker >= 0xd0 && marker <= 0xd9) || marker === 0x01) { i += 2; continue; }
+                i += 2 + buf.readUInt16BE(i + 2);
+            }
+        }
+    } catch (_) {}
+    return null;
+}
+
+function imageBlock(mediaType, buf) {
+    return { type: "image", source: { type: "base64", media_type: mediaType, data: buf.toString("base64") } };
+}
+
+// History keeps an image as a reference to its file, not as base64, so the state file stays small.
+// expandImages() turns references into real image blocks when a request is sent.
+function imageRef(imagePath) {
+    return { type: "image", source: { type: "path", path: imagePath } };
+}
+
+function isImageRef(block) {
+    return block?.type === "image" && block.source?.type === "path";
+}
+
+// Replace image blocks beyond the most recent `keep` with a short note, so a long chat does not
+// resend every photo on each request. The note keeps the turn readable for Claude and /history.
+function pruneHistoryImages(messages, keep = 3) {
+    let seen = 0;
+    const out = [...messages];
+    for (let i = out.length - 1; i >= 0; i -= 1) {
+        const m = out[i];
+        if (!Array.isArray(m?.content) || !m.content.some((b) => b?.type === "image")) continue;
+        const content = [...m.content];
+        for (let j = content.length - 1; j >= 0; j -= 1) {
+            if (content[j]?.type !== "image") continue;
+            seen += 1;
+            if (seen > keep) content[j] = { type: "text", text: "[Earlier image, no longer attached. Use the saved path if it is needed again.]" };
+        }
+        out[i] = { ...m, content };
+    }
+    return out;
+}
+
+// Prepares a downloaded image for Claude's native vision: returns { success, block, ... } where
+// `block` is an `image` content block for the user turn. Images that are too large, too big in
+// bytes or in a format Claude does not read are re-encoded as JPEG with ffmpeg.
+function createVision({ TMP_DIR, resolveFfmpegPath, maxDimension = 1568, maxBytes = 3750000 } = {}) {
+    const maxSide = Math.min(HARD_MAX_SIDE, Math.max(200, Math.floor(Number(maxDimension)) || 1568));
+    const byteLimit = Math.max(100000, Math.floor(Number(maxBytes)) || 3750000);
+
+    async function reencode(imagePath, { side, quality, signal }) {
+        const ffmpeg = resolveFfmpegPath ? await resolveFfmpegPath() : null;
+        if (!ffmpeg) return null;
+        const outDir = path.join(TMP_DIR, "images");
+        await fs.promises.mkdir(outDir, { recursive: true });
+        const outPath = path.join(outDir, `vision-${Date.now()}-${Math.random().toString(16).slice(2)}.jpg`);
+        const exe = ffmpeg === "ffmpeg" ? "ffmpeg" : `"${ffmpeg}"`;
+        const scale = `scale=w='min(iw,${side})':h='min(ih,${side})':force_original_aspect_ratio=decrease`;
+        // -frames:v 1 keeps only the first frame of an animated GIF/WebP.
+        const cmd = `${exe} -y -v error -i "${imagePath}" -frames:v 1 -vf "${scale}" -q:v ${quality} "${outPath}"`;
+        try {
+            await execCancellable(cmd, { timeout: 60000, windowsHide: true, maxBuffer: 10 * 1024 * 1024 }, signal);
+            return await fs.promises.readFile(outPath);
+        } finally {
+            fs.promises.unlink(outPath).catch(() => {});
+        }
+    }
+
+    async function prepareImage(imagePath, { signal } = {}) {
+        const original = await fs.promises.readFile(imagePath);
+        const mediaType = detectImageType(original);
+        const size = mediaType ? imageSize(original, mediaType) : null;
+        const fits = Boolean(mediaType) && original.length <= byteLimit;
+        if (fits && size && Math.max(size.width, size.height) <= maxSide) {
+            return { success: true, block: imageBlock(mediaType, original), mediaType, ...size, bytes: original.length, resized: false };
+        }
+
+        // Smaller and more compressed on each attempt until it fits.
+        let resizeError = null;
+        for (const [side, quality] of [[maxSide, 3], [maxSide, 8], [Math.round(maxSide * 0.6), 10]]) {
+            let out;
+            try {
+                out = await reencode(imagePath, { side, quality, signal });
+            } catch (e) {
+                if (e?.cancelled) return { success: false, cancelled: true, error: "Cancelled by user.", output: "" };
+                resizeError = e?.message || String(e);
+                break;
+            }
+            if (!out) break;
+            if (out.length <= byteLimit) {
+                const outSize = imageSize(out, "image/jpeg") || {};
+                return { success: true, block: imageBlock("image/jpeg", out), mediaType: "image/jpeg", ...outSize, bytes: out.length, resized: true };
+            }
+        }
+
+        // No ffmpeg (or it failed): the original still works if Claude accepts it as is; the API
+        // downscales large dimensions itself.
+        if (fits && (!size || Math.max(size.width, size.height) <= HARD_MAX_SIDE)) {
+            return { success: true, block: imageBlock(mediaType, original), mediaType, ...(size || {}), bytes: original.length, resized: false };
+        }
+        const why = !mediaType
+            ? "the image format is not supported (JPEG, PNG, GIF or WebP)"
+            : `the image is too large (${Math.round(original.length / 1024)} KB${size ? `, ${size.width}x${size.height}` : ""})`;
+        return {
+            success: false,
+            error: resizeError
+                ? `Could not resize the image with ffmpeg: ${resizeError}`
+                : `Claude cannot take this image: ${why}. Install ffmpeg (or set ffmpegPath) so it can be converted, or set "visionProvider": "openai".`,
+            output: ""
+        };
+    }
+
+    // Replace image references with image blocks for the API. `prepared` maps a path to a block
+    // that is already built (the image of the current turn). An image that can no longer be read,
+    // e.g. removed by data retention, becomes a note. `collapse(messages)` turns the blocks of the
+    // run's result back into references before it is saved.
+    async function expandImages(messages, { prepared = new Map(), signal } = {}) {
+        const refs = new Map(); // image block -> reference it was built from
+        const out = [];
+        for (const m of messages) {
+            if (!Array.isArray(m?.content) || !m.content.some(isImageRef)) {
+                out.push(m);
+                continue;
+            }
+            const content = [];
+            for (const block of m.content) {
+                if (!isImageRef(block)) {
+                    content.push(block);
+                    continue;
+                }
+                const imagePath = block.source.path;
+                const image = prepared.has(imagePath)
+                    ? { success: true, block: prepared.get(imagePath) }
+                    : await prepareImage(imagePath, { signal }).catch((e) => ({ success: false, error: e?.code === "ENOENT" ? "the file was deleted" : e?.message || String(e) }));
+                if (image.cancelled) throw new Error("Cancelled by user.");
+                if (!image.success) {
+                    content.push({ type: "text", text: `[Image ${imagePath} is no longer available: ${image.error}]` });
+                    continue;
+                }
+                refs.set(image.block, block);
+                content.push(image.block);
+            }
+            out.push({ ...m, content });
+        }
+
+        function collapse(list) {
+            return list.map((m) => (Array.isArray(m?.content) && m.content.some((b) => refs.has(b))
+                ? { ...m, content: m.content.map((b) => refs.get(b) || b) }
+                : m));
+        }
+
+        return { messages: out, collapse };
+    }
+
+    return { prepareImage, expandImages };
+}
+
+module.exports = { createVision, pruneHistoryImages, imageRef, detectImageType, imageSize };
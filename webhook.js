@@ -0,0 +1,101 @@
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+
+const { sanitizeError, safeEqual } = require("./utils");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Remembers the last `size` update_ids; Telegram re-delivers an update when our reply was slow or failed.
+function createUpdateDeduper(size = 2000) {
+    const seen = new Set();
+    return function isDuplicate(updateId) {
+        if (updateId == null) return false;
+        if (seen.has(updateId)) return true;
+        seen.add(updateId);
+        if (seen.size > size) seen.delete(seen.values().next().value);
+        return false;
+    };
+}
+
+// HTTP(S) listener for Telegram webhook updates. Every POST to `path` must carry the
+// X-Telegram-Bot-Api-Secret-Token header; valid updates are acknowledged right away and then
+// handed to `onUpdate` (normally bot.processUpdate), so slow handlers never cause re-delivery.
+// Without a configured `secretToken` a random one is generated (and registered with setWebHook).
+function createWebhookServer({ path = "/telegram/webhook", host = "0.0.0.0", port = 8443, secretToken, tlsKeyPath, tlsCertPath, onUpdate } = {}) {
+    secretToken = (secretToken || "").toString().trim() || crypto.randomBytes(24).toString("hex");
+    const isDuplicate = createUpdateDeduper();
+    const stats = { received: 0, duplicates: 0, rejected: 0 };
+
+    function reply(res, status, text = "") {
+        res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8" });
+        res.end(text);
+    }
+
+    function handleRequest(req, res) {
+        const url = (req.url || "").split("?")[0];
+        if (req.method !== "POST" || url !== path) return reply(res, 404, "Not found");
+        if (!safeEqual(req.headers["x-telegram-bot-api-secret-token"], secretToken)) {
+            stats.rejected += 1;
+            console.warn(`[webhook] rejected request with a missing/invalid secret token from ${req.socket?.remoteAddress}`);
+            return reply(res, 401, "Unauthorized");
+        }
+
+        const chunks = [];
+        let bytes = 0;
+        let tooLarge = false;
+        req.on("data", (chunk) => {
+            bytes += chunk.length;
+            if (bytes > MAX_BODY_BYTES) tooLarge = true;
+            else chunks.push(chunk);
+        });
+        req.on("end", () => {
+            if (tooLarge) return reply(res, 413, "Payload too large");
+            let update;
+            try {
+                update = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+            } catch (_) {
+                return reply(res, 400, "Invalid JSON");
+            }
+            if (!update || typeof update !== "object" || !Number.isInteger(update.update_id)) {
+                return reply(res, 400, "Missing update_id");
+            }
+            reply(res, 200, "OK");
+            if (isDuplicate(update.update_id)) {
+                stats.duplicates += 1;
+                return;
+            }
+            stats.received += 1;
+            try {
+                onUpdate(update);
+            } catch (e) {
+                console.warn("[webhook_update_failed]", sanitizeError(e));
+            }
+        });
+        req.on("error", (e) => console.warn("[webhook_request_error]", sanitizeError(e)));
+    }
+
+    const server = tlsKeyPath && tlsCertPath
+        ? https.createServer({ key: fs.readFileSync(tlsKeyPath), cert: fs.readFileSync(tlsCertPath) }, handleRequest)
+        : http.createServer(handleRequest);
+
+    function start() {
+        return new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(port, host, () => {
+                server.off("error", reject);
+                server.on("error", (e) => console.warn("[webhook_server_error]", sanitizeError(e)));
+                resolve(server.address());
+            });
+        });
+    }
+
+    function stop() {
+        return new Promise((resolve) => server.close(() => resolve()));
+    }
+
+    return { start, stop, stats, secretToken, isTls: Boolean(tlsKeyPath && tlsCertPath) };
+}
+
+module.exports = { createWebhookServer, createUpdateDeduper };